@@ -1,27 +1,63 @@
 // main.js - InsightMint Enhanced File Association Version
-const { app, BrowserWindow, Tray, Menu, dialog, shell, ipcMain, protocol } = require('electron');
+const { app, BrowserWindow, Menu, dialog, shell, ipcMain, safeStorage, globalShortcut } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const axios = require('axios');
+const FormData = require('form-data');
 const FileAccessMonitor = require('./src/FileAccessMonitor');
-const { createSummaryWindow, createTrayIcon } = require('./src/windowManager');
-const { logFileAccess, setupLogging } = require('./src/logger');
+const PrivacyRules = require('./src/PrivacyRules');
+const PauseController = require('./src/PauseController');
+const ProcessingQueue = require('./src/ProcessingQueue');
+const DocumentPipeline = require('./src/DocumentPipeline');
+const SummaryCache = require('./src/SummaryCache');
+const ApiClient = require('./src/ApiClient');
+const Settings = require('./src/Settings');
+const CredentialStore = require('./src/CredentialStore');
+const SummaryHistory = require('./src/SummaryHistory');
+const SearchIndex = require('./src/SearchIndex');
+const summarizer = require('./src/summarizer');
+const { diffSections } = require('./src/documentDiff');
+const { EXPORT_FORMATS, exportFileName, exportSummary } = require('./src/exporter');
+const { BUILTIN_DETECTORS } = require('./src/detectors');
+const { createSummaryWindow, createSettingsWindow, createAuthWindow, createHistoryWindow, createSearchWindow, createTrayIcon, updateTrayState } = require('./src/windowManager');
+const { logDocumentClosed, setupLogging } = require('./src/logger');
 
-// Configuration
+// Configuration; defaults until the user's settings are applied at startup (see applySettingsToConfig)
 const CONFIG = {
   SUPPORTED_EXTENSIONS: ['.pdf', '.docx', '.doc'],
   API_BASE_URL: 'http://127.0.0.1:8000',
-  MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB
+  MAX_FILE_SIZE: 500 * 1024 * 1024, // 500MB, files are streamed
   API_TIMEOUT: 120000, // 2 minutes
   AUTO_HIDE_DELAY: 60000, // 1 minute
-  ERROR_DISPLAY_DURATION: 8000 // 8 seconds
+  ERROR_DISPLAY_DURATION: 8000, // 8 seconds
+  MAX_CONCURRENT_JOBS: 2, // Summaries running at the same time
+  OFFLINE_FALLBACK: true // Summarize on this computer when the service is down
 };
 
 // Global state
 let summaryWindow = null;
 let tray = null;
-let isAPIHealthy = false;
+let apiClient = null;
 let fileMonitor = null;
+let privacyRules = null;
+let pauseController = null;
+let processingQueue = null;
+let documentPipeline = null;
+let summaryCache = null;
+let settings = null;
+let settingsWindow = null;
+let credentialStore = null;
+let authWindow = null;
+let summaryHistory = null;
+let historyWindow = null;
+let searchIndex = null;
+let searchWindow = null;
+let pendingAuthRetry = null; // { filePath, metadata } rejected with 401, summarized again after signing in
+let autoHide = null; // { timer, startedAt } of the pending summary auto-hide
+let currentMetadata = {}; // Metadata of the document shown, reused by "refresh"
+let currentFilePath = null; // Document shown in the summary window
+let displayedJobId = null; // Processing job the summary window follows
+const jobViews = new Map(); // jobId -> { filePath, metadata } of jobs in progress
 
 // ─── 🔧 Utility Functions ──────────────────────────────────────────
 function safelySend(channel, data) {
@@ -49,6 +85,36 @@ function safelyShow() {
   return false;
 }
 
+// A delay of 0 keeps the summary open; changing the delay reschedules from the original start
+function scheduleAutoHide(startedAt = Date.now()) {
+  if (autoHide) {
+    clearTimeout(autoHide.timer);
+    autoHide = null;
+  }
+  
+  if (!CONFIG.AUTO_HIDE_DELAY) {
+    return;
+  }
+  
+  const remaining = Math.max(0, CONFIG.AUTO_HIDE_DELAY - (Date.now() - startedAt));
+  autoHide = {
+    startedAt,
+    timer: setTimeout(() => {
+      autoHide = null;
+      if (summaryWindow && !summaryWindow.isDestroyed() && summaryWindow.isVisible() && !summaryWindow.isFocused()) {
+        summaryWindow.hide();
+      }
+    }, remaining)
+  };
+}
+
+function isSameFile(a, b) {
+  if (!a || !b) return false;
+  const left = path.resolve(a);
+  const right = path.resolve(b);
+  return process.platform === 'win32' ? left.toLowerCase() === right.toLowerCase() : left === right;
+}
+
 function showError(message, duration = CONFIG.ERROR_DISPLAY_DURATION) {
   console.error('❌ InsightMint Error:', message);
   
@@ -68,43 +134,209 @@ function showError(message, duration = CONFIG.ERROR_DISPLAY_DURATION) {
 }
 
 // ─── 🔄 API Health Check ──────────────────────────────────────────
+function getApiClient() {
+  if (!apiClient) {
+    apiClient = new ApiClient({
+      baseURL: CONFIG.API_BASE_URL,
+      timeout: CONFIG.API_TIMEOUT,
+      getHeaders: getAuthHeaders
+    });
+    apiClient.on('state', () => updateTrayState(tray));
+  }
+  return apiClient;
+}
+
 async function checkAPIHealth() {
+  return getApiClient().checkHealth();
+}
+
+// ─── 🔑 Authentication ────────────────────────────────────────────
+function getAuthHeaders() {
+  const token = credentialStore ? credentialStore.getToken() : null;
+  if (!token) {
+    return {};
+  }
+  
+  const authType = settings ? settings.get('api.authType') : 'bearer';
+  return authType === 'api-key' ? { 'X-API-Key': token } : { Authorization: `Bearer ${token}` };
+}
+
+function showAuthError(filePath, metadata) {
+  pendingAuthRetry = { filePath, metadata };
+  
+  const hasToken = credentialStore && credentialStore.hasToken();
+  console.error('🔑 Summary service rejected the request:', hasToken ? 'invalid token' : 'no token');
+  
+  // Stays up until the user signs in or dismisses it
+  if (safelySend('show-summary', {
+    file: path.basename(filePath),
+    summary: hasToken
+      ? '🔑 The summary service did not accept your API token.\nIt may have expired or been revoked. Sign in again to continue.'
+      : '🔑 The summary service needs an API token.\nSign in to summarize this document.',
+    isError: true,
+    isAuthError: true
+  })) {
+    safelyShow();
+  }
+}
+
+function openAuthWindow() {
+  if (authWindow && !authWindow.isDestroyed()) {
+    authWindow.show();
+    authWindow.focus();
+    return;
+  }
+  
+  authWindow = createAuthWindow();
+  authWindow.on('closed', () => {
+    authWindow = null;
+  });
+}
+
+// Saves the token only if the service accepts it (or cannot be reached to ask)
+async function saveApiToken(token) {
+  const previous = credentialStore.getToken();
+  credentialStore.setToken(token);
+  
+  let warning = null;
   try {
-    const response = await axios.get(`${CONFIG.API_BASE_URL}/health`, {
-      timeout: 5000
-    });
+    await getApiClient().get('/auth/verify', { timeout: 10000 });
+  } catch (error) {
+    const status = error.response ? error.response.status : null;
+    if (status === 401) {
+      if (previous) {
+        credentialStore.setToken(previous);
+      } else {
+        credentialStore.clearToken();
+      }
+      return { success: false, error: 'The summary service rejected this token.' };
+    }
     
-    if (response.status === 200) {
-      isAPIHealthy = true;
-      console.log('✅ API server is healthy');
-      return true;
+    // 404: a service without /auth/verify; its next answer will tell
+    if (!status) {
+      warning = 'Saved. The summary service is offline, so the token could not be checked.';
+    } else if (status !== 404) {
+      warning = `Saved, but the token could not be checked (${formatProcessingError(error)}).`;
     }
-  } catch (error) {
-    isAPIHealthy = false;
-    console.log('❌ API server is not responding');
   }
-  return false;
+  
+  // Summarize the document that was turned away
+  if (pendingAuthRetry) {
+    const { filePath, metadata } = pendingAuthRetry;
+    pendingAuthRetry = null;
+    processFile(filePath, metadata);
+  }
+  
+  return { success: true, warning };
 }
 
-// ─── 📄 File Processing Pipeline ──────────────────────────────────
-async function processFile(filePath, metadata = {}) {
-  const ext = path.extname(filePath).toLowerCase();
+function setupAuthentication() {
+  credentialStore = new CredentialStore({
+    file: path.join(app.getPath('userData'), 'credentials.json'),
+    safeStorage
+  });
   
-  // Validate file
-  if (!CONFIG.SUPPORTED_EXTENSIONS.includes(ext)) {
-    console.log('⏭️ Unsupported file type:', ext);
-    return;
+  ipcMain.handle('reauthenticate', async () => {
+    openAuthWindow();
+  });
+  
+  ipcMain.handle('get-auth-status', async () => ({
+    hasToken: credentialStore.hasToken(),
+    encryptionAvailable: credentialStore.isEncryptionAvailable(),
+    authType: settings ? settings.get('api.authType') : 'bearer',
+    serviceUrl: CONFIG.API_BASE_URL
+  }));
+  
+  ipcMain.handle('save-api-token', async (event, token) => {
+    try {
+      return await saveApiToken(token);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+  
+  ipcMain.handle('clear-api-token', async () => {
+    credentialStore.clearToken();
+    return { success: true };
+  });
+}
+
+// ─── 📄 File Processing Pipeline ──────────────────────────────────
+// Anything that changes the summary for the same file content; part of the cache key
+const SUMMARY_OPTIONS = {
+  endpoint: '/summarize-file'
+};
+
+function getProcessingQueue() {
+  if (!processingQueue) {
+    processingQueue = new ProcessingQueue({ concurrency: CONFIG.MAX_CONCURRENT_JOBS });
+    processingQueue.on('changed', (jobs) => {
+      safelySend('queue-changed', jobs);
+      updateTrayState(tray);
+    });
+  }
+  return processingQueue;
+}
+
+// Pause, privacy rules, download offers and the queue; the dialogs and the summary window stay here
+function getDocumentPipeline() {
+  if (!documentPipeline) {
+    documentPipeline = new DocumentPipeline({
+      supportedExtensions: CONFIG.SUPPORTED_EXTENSIONS,
+      queue: getProcessingQueue(),
+      privacyRules: () => privacyRules, // Loaded once the app is ready; files can arrive from a second instance before that
+      summarize: runProcessingJob,
+      isPaused: () => Boolean(pauseController && pauseController.isPaused()),
+      confirmPath: confirmDocumentPath,
+      offerDownload: offerDownloadSummary,
+      askPrivacy: askBeforeSummarizing
+    });
+  }
+  return documentPipeline;
+}
+
+function processFile(filePath, metadata = {}) {
+  return getDocumentPipeline().processFile(filePath, metadata);
+}
+
+// Jobs run side by side but the summary window follows one of them until it finishes;
+// the others only take it over if it is free by the time they finish
+function claimSummaryWindow(job) {
+  if (displayedJobId !== job.id && jobViews.has(displayedJobId)) {
+    return false;
   }
   
-  if (!fs.existsSync(filePath)) {
-    console.warn('⚠️ File not found:', filePath);
-    return;
+  const { filePath, metadata } = jobViews.get(job.id);
+  displayedJobId = job.id;
+  currentFilePath = filePath;
+  currentMetadata = metadata;
+  return true;
+}
+
+function showJobError(job, message) {
+  if (claimSummaryWindow(job)) {
+    showError(message);
+  } else {
+    console.error('❌ InsightMint Error:', message);
+  }
+}
+
+async function runProcessingJob(job, filePath, metadata) {
+  jobViews.set(job.id, { filePath, metadata });
+  try {
+    return await summarizeJob(job, filePath, metadata);
+  } finally {
+    jobViews.delete(job.id);
   }
+}
+
+async function summarizeJob(job, filePath, metadata) {
+  const ext = path.extname(filePath).toLowerCase();
   
   // Check file size
   const stats = fs.statSync(filePath);
   if (stats.size > CONFIG.MAX_FILE_SIZE) {
-    showError(`File too large: ${(stats.size / 1024 / 1024).toFixed(1)}MB\nMaximum size: 50MB`);
+    showJobError(job, `File too large: ${(stats.size / 1024 / 1024).toFixed(1)}MB\nMaximum size: ${Math.round(CONFIG.MAX_FILE_SIZE / 1024 / 1024)}MB`);
     return;
   }
   
@@ -112,58 +344,177 @@ async function processFile(filePath, metadata = {}) {
   console.log(`📍 Source: ${metadata.source || 'Direct'}`);
   console.log(`📖 Detected by: ${metadata.detectedBy || 'File System'}`);
   
-  // Ensure window is visible
-  if (summaryWindow && !summaryWindow.isVisible()) {
-    safelyShow();
-  }
-  
   try {
-    // Check API health
-    if (!isAPIHealthy) {
-      console.log('🔍 Checking API health...');
-      await checkAPIHealth();
-      
-      if (!isAPIHealthy) {
-        showError('Summary service is not available.\nPlease start the API server on port 8000.');
-        return;
+    // Show processing indicator
+    if (claimSummaryWindow(job)) {
+      if (summaryWindow && !summaryWindow.isVisible()) {
+        safelyShow();
       }
+      safelySend('show-summary', {
+        file: path.basename(filePath),
+        summary: createProcessingMessage(metadata),
+        isProcessing: true,
+        jobId: job.id
+      });
     }
     
-    // Show processing indicator
-    const processingMessage = createProcessingMessage(metadata);
-    safelySend('show-summary', {
-      file: path.basename(filePath),
-      summary: processingMessage,
-      isProcessing: true
-    });
+    // Same content summarized before: no upload needed
+    const contentHash = await SummaryCache.hashFile(filePath);
+    const cacheKey = SummaryCache.createKey(contentHash, { ...SUMMARY_OPTIONS, fileType: ext });
+    let cached = null;
+    if (summaryCache && !metadata.forceRefresh) {
+      cached = await summaryCache.get(cacheKey);
+    }
+    
+    let summary;
+    let text = null; // Extracted text, when this process extracted it
+    let isLocal = false;
+    if (cached) {
+      console.log('💾 Cache hit:', path.basename(filePath));
+      summary = cached.summary;
+    } else {
+      // Check API health; the service is retried for every new document
+      const client = getApiClient();
+      if (!client.isAvailable()) {
+        console.log('🔍 Checking API health...');
+        await client.checkHealth();
+      }
+      
+      if (client.isAvailable()) {
+        try {
+          summary = await processFileWithAPI(filePath, ext, job.signal, progress => {
+            safelySend('upload-progress', { jobId: job.id, ...progress });
+          });
+        } catch (error) {
+          if (!isServiceUnreachable(error) || !CONFIG.OFFLINE_FALLBACK) {
+            throw error;
+          }
+          console.log('⚠️ Summary service dropped out, falling back to local summary');
+        }
+      }
+      
+      if (summary === undefined) {
+        if (!CONFIG.OFFLINE_FALLBACK) {
+          showJobError(job, 'Summary service is not available.\nPlease start the API server on port 8000.');
+          return;
+        }
+        ({ summary, text } = await processFileLocally(filePath, job.signal));
+        isLocal = true;
+      }
+      
+      // Local summaries are not cached so the service replaces them once it is back
+      if (summaryCache && !isLocal) {
+        summaryCache.set(cacheKey, {
+          contentHash,
+          fileName: path.basename(filePath),
+          summary
+        }).catch(error => console.error('❌ Could not cache summary:', error.message));
+      }
+    }
     
-    // Process file
-    const summary = await processFileWithAPI(filePath, ext);
     const enhancedSummary = addMetadataToSummary(summary, metadata);
     
-    // Show results
-    safelySend('show-summary', {
-      file: path.basename(filePath),
-      summary: enhancedSummary,
-      filePath: filePath,
-      fileSize: `${(stats.size / 1024).toFixed(1)}KB`,
-      isSuccess: true
-    });
+    // Recorded first so the summary window can export it by id
+    const historyEntry = summaryHistory ? summaryHistory.add({
+      filePath,
+      fileSize: stats.size,
+      contentHash,
+      readerApplication: metadata.detectedBy,
+      source: metadata.source,
+      isLocal,
+      summary
+    }) : null;
     
-    safelyShow();
+    // Show results, unless the window is busy with another document
+    if (claimSummaryWindow(job)) {
+      safelySend('show-summary', {
+        file: path.basename(filePath),
+        summary: enhancedSummary,
+        filePath: filePath,
+        fileSize: `${(stats.size / 1024).toFixed(1)}KB`,
+        cachedAt: cached ? cached.createdAt : null,
+        historyId: historyEntry ? historyEntry.id : null,
+        isLocal,
+        isSuccess: true
+      });
+      
+      safelyShow();
+      
+      // Auto-hide timer
+      scheduleAutoHide();
+    } else {
+      console.log(`📚 Summary of ${path.basename(filePath)} saved to history while another document is shown`);
+    }
     
-    // Auto-hide timer
-    setTimeout(() => {
-      if (summaryWindow && summaryWindow.isVisible() && !summaryWindow.isFocused()) {
-        summaryWindow.hide();
-      }
-    }, CONFIG.AUTO_HIDE_DELAY);
+    // Previously summarized paths help resolve title-only detections
+    if (fileMonitor) {
+      fileMonitor.pathResolver.remember(filePath);
+    }
+    
+    // Runs after the summary is shown; extraction never holds up the window
+    indexDocument(filePath, { contentHash, summary, text });
     
     console.log('✅ File processed successfully:', path.basename(filePath));
     
   } catch (error) {
+    if (axios.isCancel(error) || job.signal.aborted) {
+      console.log('🛑 Processing cancelled:', path.basename(filePath));
+      // A refresh that replaced this job shows its own progress next
+      if (!job.replaced && claimSummaryWindow(job)) {
+        safelySend('show-summary', {
+          file: path.basename(filePath),
+          summary: '🛑 Summary cancelled.',
+          isNotification: true
+        });
+      }
+      throw error;
+    }
+    
+    if (error.response && error.response.status === 401) {
+      showAuthError(filePath, metadata);
+      throw error;
+    }
+    
     console.error('❌ Error processing file:', error);
-    showError(formatProcessingError(error));
+    showJobError(job, formatProcessingError(error));
+    throw error;
+  }
+}
+
+function cancelProcessing(jobId = null) {
+  if (!processingQueue) return 0;
+  
+  if (jobId === null) {
+    return processingQueue.cancelAll();
+  }
+  return processingQueue.cancel(jobId) ? 1 : 0;
+}
+
+async function askBeforeSummarizing(filePath, decision) {
+  const buttons = ['Summarize', 'Skip', 'Never for this folder'];
+  
+  try {
+    const { response } = await dialog.showMessageBox({
+      type: 'question',
+      title: 'InsightMint - Summarize this document?',
+      message: `Send "${path.basename(filePath)}" to the summary service?`,
+      detail: decision.rule
+        ? `It matches the privacy rule "${decision.rule}".`
+        : 'Your privacy settings ask before summarizing documents.',
+      buttons,
+      defaultId: 1,
+      cancelId: 1,
+      noLink: true
+    });
+    
+    if (response === 2) {
+      privacyRules.addRule('deny', 'folders', path.dirname(filePath));
+    }
+    
+    return response === 0 ? 'allowed' : 'skipped';
+  } catch (error) {
+    console.error('❌ Could not ask about privacy rule:', error);
+    return 'skipped';
   }
 }
 
@@ -177,30 +528,67 @@ function createProcessingMessage(metadata) {
     message += `\n📍 Source: ${metadata.source}`;
   }
   
+  const waiting = processingQueue ? processingQueue.queued.length : 0;
+  if (waiting > 0) {
+    message += `\n⏳ ${waiting} more document${waiting === 1 ? '' : 's'} waiting`;
+  }
+  
   return message;
 }
 
-async function processFileWithAPI(filePath, ext) {
-  const buffer = fs.readFileSync(filePath);
-  const base64 = buffer.toString('base64');
+// Streams the file as multipart/form-data; onProgress receives { loaded, total, percent }
+async function processFileWithAPI(filePath, ext, signal, onProgress = () => {}) {
   const fileName = path.basename(filePath);
+  const { size } = fs.statSync(filePath);
   
-  const response = await axios.post(
-    `${CONFIG.API_BASE_URL}/summarize-file-base64`,
-    {
-      fileData: base64,
-      fileName: fileName,
-      fileType: ext
-    },
-    {
-      timeout: CONFIG.API_TIMEOUT,
-      headers: { 'Content-Type': 'application/json' }
-    }
-  );
+  // A new form per attempt: the file stream can only be read once
+  const response = await getApiClient().request(() => {
+    const form = new FormData();
+    form.append('fileName', fileName);
+    form.append('fileType', ext);
+    form.append('file', fs.createReadStream(filePath), { filename: fileName, knownLength: size });
+    
+    return {
+      method: 'post',
+      url: '/summarize-file',
+      data: form,
+      headers: { ...form.getHeaders(), 'Content-Length': form.getLengthSync() },
+      maxBodyLength: Infinity,
+      signal,
+      onUploadProgress: event => {
+        const total = event.total || size;
+        onProgress({
+          loaded: event.loaded,
+          total,
+          percent: total ? Math.min(100, Math.round(event.loaded / total * 100)) : null
+        });
+      }
+    };
+  });
   
   return response.data.summary || 'No summary was generated for this document.';
 }
 
+// Offline fallback: same extraction and summarizing as the service, run in this process
+async function processFileLocally(filePath, signal) {
+  const fileName = path.basename(filePath);
+  console.log('🖥️ Summarizing locally:', fileName);
+  
+  const buffer = await fs.promises.readFile(filePath, { signal });
+  const { summary, text } = await summarizer.summarizeBuffer(buffer, fileName);
+  
+  return {
+    summary: '🖥️ Offline summary: created on this computer because the summary service is unavailable.\n\n' + summary,
+    text
+  };
+}
+
+// Errors where the service never answered, as opposed to answering with an error
+function isServiceUnreachable(error) {
+  return !error.response && !axios.isCancel(error) &&
+         ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENOTFOUND', 'EPIPE', 'ECIRCUITOPEN'].includes(error.code);
+}
+
 function addMetadataToSummary(summary, metadata) {
   if (!metadata.detectedBy && !metadata.source) {
     return summary;
@@ -217,6 +605,12 @@ function addMetadataToSummary(summary, metadata) {
   if (metadata.processInfo) {
     enhancedSummary += `\n🔧 Process: ${metadata.processInfo}`;
   }
+  if (metadata.pathResolution === 'resolved') {
+    enhancedSummary += `\n🔎 Path: matched by file name`;
+  }
+  if (metadata.confidence !== undefined) {
+    enhancedSummary += `\n🎯 Confidence: ${Math.round(metadata.confidence * 100)}%`;
+  }
   
   return enhancedSummary;
 }
@@ -225,8 +619,9 @@ function formatProcessingError(error) {
   if (error.response) {
     return error.response.data?.error || `API Error: ${error.response.status}`;
   } else if (error.code === 'ECONNREFUSED') {
-    isAPIHealthy = false;
     return 'Cannot connect to summary service.\nPlease start the API server.';
+  } else if (error.code === 'ECIRCUITOPEN') {
+    return 'Summary service keeps failing.\nRequests are paused for a moment.';
   } else if (error.code === 'ECONNABORTED') {
     return 'Processing timeout.\nThe document might be too complex.';
   } else {
@@ -234,31 +629,143 @@ function formatProcessingError(error) {
   }
 }
 
+// ─── ❓ Questions ─────────────────────────────────────────────────
+// The service answers from the text it kept when summarizing; offline, the same passage search runs here
+async function askQuestion(filePath, question) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return { success: false, error: 'The document is no longer available.' };
+  }
+  if (typeof question !== 'string' || !question.trim()) {
+    return { success: false, error: 'Type a question first.' };
+  }
+  
+  const fileName = path.basename(filePath);
+  console.log('❓ Question about:', fileName);
+  
+  // Someone asking questions is still reading the summary
+  if (autoHide) {
+    scheduleAutoHide();
+  }
+  
+  try {
+    const documentId = await SummaryCache.hashFile(filePath);
+    const client = getApiClient();
+    if (!client.isAvailable()) {
+      await client.checkHealth();
+    }
+    
+    let keptLocal = false;
+    if (client.isAvailable()) {
+      try {
+        const result = await askService(documentId, filePath, question);
+        if (result) {
+          return { success: true, answer: result.answer, passages: result.passages, isLocal: false };
+        }
+        keptLocal = true;
+        console.log('🔒 Privacy rules keep the document on this computer, answering locally');
+      } catch (error) {
+        if (!isServiceUnreachable(error) || !CONFIG.OFFLINE_FALLBACK) {
+          throw error;
+        }
+        console.log('⚠️ Summary service dropped out, answering locally');
+      }
+    }
+    
+    if (!CONFIG.OFFLINE_FALLBACK && !keptLocal) {
+      return { success: false, error: 'Summary service is not available.' };
+    }
+    
+    // The search index already holds the text of documents summarized before
+    const text = searchIndex && searchIndex.has(filePath, documentId)
+      ? searchIndex.getText(filePath)
+      : await summarizer.extractTextFromBuffer(await fs.promises.readFile(filePath), fileName);
+    const passages = summarizer.findPassages(text, question);
+    return { success: true, answer: passages.length > 0 ? passages[0].text : null, passages, isLocal: true };
+    
+  } catch (error) {
+    if (error.response && error.response.status === 401) {
+      return { success: false, isAuthError: true, error: 'Sign in to the summary service to ask questions.' };
+    }
+    
+    console.error('❌ Could not answer question:', error.message);
+    return { success: false, error: formatProcessingError(error) };
+  }
+}
+
+// The service keeps a limited number of documents; one it has dropped is uploaded again, once.
+// Resolves to null when the privacy rules no longer allow uploading it
+async function askService(documentId, filePath, question) {
+  try {
+    const response = await getApiClient().post('/ask', { documentId, question });
+    return response.data;
+  } catch (error) {
+    if (!error.response || error.response.data?.code !== 'DOCUMENT_NOT_FOUND') {
+      throw error;
+    }
+  }
+  
+  // The rules may have changed since the document was summarized
+  const metadata = filePath === currentFilePath ? currentMetadata : {};
+  if (!(await getDocumentPipeline().isAllowedByPrivacyRules(filePath, metadata))) {
+    return null;
+  }
+  
+  console.log('📤 Summary service no longer has the document, uploading it again');
+  await processFileWithAPI(filePath, path.extname(filePath).toLowerCase());
+  
+  const response = await getApiClient().post('/ask', { documentId, question });
+  return response.data;
+}
+
 // ─── 🎯 File Monitor Integration ──────────────────────────────────
+// Detector overrides for end-to-end runs on any OS, e.g.
+// INSIGHTMINT_DETECTORS=scripted INSIGHTMINT_DETECTOR_SCRIPT=test/fixtures/detector-script.json npm start
+function getDetectorOptions() {
+  const detectors = {};
+  
+  if (process.env.INSIGHTMINT_DETECTOR_SCRIPT) {
+    detectors.scripted = {
+      enabled: true,
+      scriptPath: path.resolve(process.env.INSIGHTMINT_DETECTOR_SCRIPT)
+    };
+  }
+  
+  if (process.env.INSIGHTMINT_DETECTORS) {
+    const enabled = process.env.INSIGHTMINT_DETECTORS.split(',').map(name => name.trim());
+    Object.keys(BUILTIN_DETECTORS).forEach(name => {
+      detectors[name] = { ...detectors[name], enabled: enabled.includes(name) };
+    });
+  }
+  
+  return detectors;
+}
+
 function setupFileMonitoring() {
-  fileMonitor = new FileAccessMonitor();
+  fileMonitor = new FileAccessMonitor({
+    ...(settings ? settings.get('monitor') : {}),
+    targetExtensions: CONFIG.SUPPORTED_EXTENSIONS,
+    detectors: getDetectorOptions(),
+    knownPathsFile: path.join(app.getPath('userData'), 'known-paths.json'),
+    watchConfigFile: path.join(app.getPath('userData'), 'watch-folders.json'),
+    readersFile: path.join(app.getPath('userData'), 'readers.json')
+  });
   
-  fileMonitor.on('fileOpened', (fileInfo) => {
-    console.log('\n🎯 FILE ACCESS DETECTED!');
-    console.log(`📄 File: ${fileInfo.fileName}`);
-    console.log(`📖 Reader: ${fileInfo.readerApplication}`);
-    console.log(`📍 Source: ${fileInfo.source}`);
-    
-    // Log the access
-    logFileAccess(fileInfo);
+  getDocumentPipeline().attach(fileMonitor);
+  
+  fileMonitor.on('fileFocused', (fileInfo) => {
+    console.log(`👁️ Document focused: ${fileInfo.fileName}`);
+  });
+  
+  fileMonitor.on('fileClosed', (fileInfo) => {
+    console.log(`📕 Document closed: ${fileInfo.fileName} (open ${Math.round(fileInfo.durationMs / 1000)}s)`);
+    logDocumentClosed(fileInfo);
     
-    // Process the file if it has a valid path
-    if (fileInfo.fullPath && fileInfo.fullPath !== 'Unknown (from window title)') {
-      const metadata = {
-        detectedBy: fileInfo.readerApplication,
-        source: fileInfo.source,
-        processInfo: `${fileInfo.processName} (${fileInfo.processId})`
-      };
-      
-      // Delay processing slightly to ensure file is fully opened
-      setTimeout(() => {
-        processFile(fileInfo.fullPath, metadata);
-      }, 1000);
+    // Dismiss the summary of a document the user has closed
+    if (currentFilePath && isSameFile(currentFilePath, fileInfo.fullPath)) {
+      currentFilePath = null;
+      if (summaryWindow && !summaryWindow.isDestroyed() && summaryWindow.isVisible()) {
+        summaryWindow.hide();
+      }
     }
   });
   
@@ -268,11 +775,76 @@ function setupFileMonitoring() {
   
   // Start monitoring
   fileMonitor.startAdvancedMonitoring();
+  
+  // Starting inside quiet hours (or while snoozed)
+  if (pauseController && pauseController.isPaused()) {
+    fileMonitor.pause();
+  }
+  
   console.log('🔍 File monitoring started');
 }
 
+// Monitor options only take effect on a fresh monitor
+function restartFileMonitoring() {
+  if (!fileMonitor) return;
+  
+  console.log('🔄 Restarting file monitoring with new settings');
+  fileMonitor.removeAllListeners();
+  fileMonitor.stop();
+  fileMonitor = null;
+  setupFileMonitoring();
+}
+
+async function confirmDocumentPath(fileInfo) {
+  const candidates = fileInfo.pathCandidates.slice(0, 5);
+  const buttons = [...candidates, 'Skip'];
+  
+  try {
+    const { response } = await dialog.showMessageBox({
+      type: 'question',
+      title: 'InsightMint - Which document?',
+      message: `Several files are named "${fileInfo.fileName}".`,
+      detail: `${fileInfo.readerApplication} is showing one of these. Choose the file to summarize (most recently modified first).`,
+      buttons,
+      defaultId: 0,
+      cancelId: buttons.length - 1,
+      noLink: true
+    });
+    
+    return response < candidates.length ? candidates[response] : null;
+  } catch (error) {
+    console.error('❌ Could not ask for document path:', error);
+    return null;
+  }
+}
+
+// The pipeline aborts the signal when a reader opens the file meanwhile, which closes the dialog
+async function offerDownloadSummary(fileInfo, signal) {
+  const { response } = await dialog.showMessageBox({
+    signal,
+    type: 'question',
+    title: 'InsightMint - Download complete',
+    message: `"${fileInfo.fileName}" finished downloading.`,
+    detail: `Saved to ${path.dirname(fileInfo.fullPath)}. Summarize it now?`,
+    buttons: ['Summarize', 'Not now'],
+    defaultId: 0,
+    cancelId: 1,
+    noLink: true
+  });
+  
+  return response === 0;
+}
+
 // ─── 📱 IPC Handlers ──────────────────────────────────────────────
 function setupIPC() {
+  ipcMain.handle('cancel-processing', async (event, jobId) => {
+    return cancelProcessing(typeof jobId === 'number' ? jobId : null);
+  });
+  
+  ipcMain.handle('get-processing-queue', async () => {
+    return processingQueue ? processingQueue.getJobs() : [];
+  });
+  
   ipcMain.handle('open-file-location', async (event, filePath) => {
     try {
       shell.showItemInFolder(filePath);
@@ -290,6 +862,19 @@ function setupIPC() {
     }
   });
 
+  ipcMain.handle('refresh-summary', async (event, filePath) => {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return false;
+    }
+    
+    processFile(filePath, { ...currentMetadata, source: 'Refresh', forceRefresh: true });
+    return true;
+  });
+  
+  ipcMain.handle('ask-question', async (event, filePath, question) => {
+    return askQuestion(filePath, question);
+  });
+  
   ipcMain.handle('copy-summary', async (event, summary) => {
     try {
       const { clipboard } = require('electron');
@@ -302,6 +887,349 @@ function setupIPC() {
   });
 }
 
+// ─── 🕘 History ───────────────────────────────────────────────────
+function setupHistory() {
+  summaryHistory = new SummaryHistory({
+    file: path.join(app.getPath('userData'), 'history.json')
+  });
+  
+  summaryHistory.on('changed', () => {
+    if (historyWindow && !historyWindow.isDestroyed()) {
+      historyWindow.webContents.send('history-changed');
+    }
+  });
+  
+  ipcMain.handle('get-history', async (event, filters = {}) => ({
+    entries: summaryHistory.list(filters),
+    facets: summaryHistory.getFacets()
+  }));
+  
+  ipcMain.handle('show-history-entry', async (event, id) => {
+    const entry = summaryHistory.get(id);
+    if (!entry) return false;
+    
+    showHistoryEntry(entry);
+    return true;
+  });
+  
+  ipcMain.handle('export-summaries', async (event, ids) => {
+    return exportSummaries(ids, BrowserWindow.fromWebContents(event.sender));
+  });
+  
+  ipcMain.handle('delete-history-entries', async (event, ids) => {
+    const deletedPaths = (Array.isArray(ids) ? ids : [ids])
+      .map(id => summaryHistory.get(id))
+      .filter(Boolean)
+      .map(entry => entry.filePath);
+    const removed = summaryHistory.delete(ids);
+    
+    // Text of a document stays searchable only while a summary of it is in the history
+    if (searchIndex) {
+      deletedPaths
+        .filter(filePath => !summaryHistory.findByPath(filePath, isSameFile))
+        .forEach(filePath => searchIndex.remove(filePath));
+    }
+    return removed;
+  });
+}
+
+// Past summaries open in the summary window as they were first shown
+function showHistoryEntry(entry) {
+  const metadata = { detectedBy: entry.readerApplication, source: entry.source };
+  const fileExists = fs.existsSync(entry.filePath);
+  
+  currentFilePath = fileExists ? entry.filePath : null;
+  currentMetadata = metadata;
+  
+  safelySend('show-summary', {
+    file: entry.fileName,
+    summary: addMetadataToSummary(entry.summary, metadata),
+    filePath: fileExists ? entry.filePath : null,
+    fileSize: entry.fileSize ? `${(entry.fileSize / 1024).toFixed(1)}KB` : null,
+    historyAt: entry.timestamp,
+    historyId: entry.id,
+    isLocal: entry.isLocal,
+    isSuccess: true
+  });
+  safelyShow();
+}
+
+function openHistoryWindow() {
+  if (historyWindow && !historyWindow.isDestroyed()) {
+    historyWindow.show();
+    historyWindow.focus();
+    return;
+  }
+  
+  historyWindow = createHistoryWindow();
+  historyWindow.on('closed', () => {
+    historyWindow = null;
+  });
+}
+
+// ─── 💾 Export ────────────────────────────────────────────────────
+// One entry is saved where the user picks; several go into a folder, one file each
+async function exportSummaries(ids, window) {
+  const entries = (Array.isArray(ids) ? ids : [ids])
+    .map(id => summaryHistory.get(id))
+    .filter(Boolean);
+  if (entries.length === 0) {
+    return { success: false, error: 'The summary is no longer in the history.' };
+  }
+  
+  const format = await chooseExportFormat(window);
+  if (!format) {
+    return { success: false, cancelled: true };
+  }
+  
+  const { name, extension } = EXPORT_FORMATS[format];
+  let targets;
+  if (entries.length === 1) {
+    const result = await dialog.showSaveDialog(window, {
+      title: 'Save Summary As',
+      defaultPath: path.join(app.getPath('documents'), exportFileName(entries[0], format)),
+      filters: [{ name, extensions: [extension.slice(1)] }]
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false, cancelled: true };
+    }
+    targets = [result.filePath];
+  } else {
+    const result = await dialog.showOpenDialog(window, {
+      title: `Export ${entries.length} Summaries`,
+      buttonLabel: 'Export Here',
+      defaultPath: app.getPath('documents'),
+      properties: ['openDirectory', 'createDirectory']
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, cancelled: true };
+    }
+    
+    const taken = new Set();
+    targets = entries.map(entry => uniqueExportPath(result.filePaths[0], exportFileName(entry, format), taken));
+  }
+  
+  try {
+    for (let i = 0; i < entries.length; i++) {
+      await fs.promises.writeFile(targets[i], await exportSummary(entries[i], format));
+    }
+    console.log(`💾 Exported ${entries.length} summar${entries.length === 1 ? 'y' : 'ies'} as ${name}`);
+    return { success: true, count: entries.length, paths: targets };
+  } catch (error) {
+    console.error('❌ Export failed:', error);
+    return { success: false, error: `Export failed: ${error.message}` };
+  }
+}
+
+// Native menu of formats at the cursor; resolves to a key of EXPORT_FORMATS, or null when dismissed
+function chooseExportFormat(window) {
+  return new Promise(resolve => {
+    let chosen = false;
+    const menu = Menu.buildFromTemplate(Object.entries(EXPORT_FORMATS).map(([format, { name, extension }]) => ({
+      label: `${name} (${extension})`,
+      click: () => {
+        chosen = true;
+        resolve(format);
+      }
+    })));
+    
+    // Closed without a choice: dismissed
+    menu.popup({
+      window,
+      callback: () => {
+        if (!chosen) {
+          resolve(null);
+        }
+      }
+    });
+  });
+}
+
+// Several documents can share a name; never overwrites an existing file
+function uniqueExportPath(directory, fileName, taken) {
+  const ext = path.extname(fileName);
+  const base = path.basename(fileName, ext);
+  let candidate = path.join(directory, fileName);
+  
+  for (let n = 2; taken.has(candidate.toLowerCase()) || fs.existsSync(candidate); n++) {
+    candidate = path.join(directory, `${base} (${n})${ext}`);
+  }
+  
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// ─── 🔎 Document Search ────────────────────────────────────────────
+const SEARCH_SHORTCUT = 'CommandOrControl+Alt+Shift+F';
+
+function setupSearch() {
+  searchIndex = new SearchIndex({
+    directory: path.join(app.getPath('userData'), 'search-index')
+  });
+  console.log(`🔎 Search index: ${searchIndex.getStats().documents} documents`);
+  
+  ipcMain.handle('search-documents', async (event, query) => {
+    // Results link to the newest summary of each document, when there is one
+    return (await searchIndex.search(query)).map(result => {
+      const entry = summaryHistory ? summaryHistory.findByPath(result.filePath, isSameFile) : null;
+      return { ...result, historyId: entry ? entry.id : null };
+    });
+  });
+  
+  ipcMain.handle('get-search-stats', async () => searchIndex.getStats());
+  
+  if (!globalShortcut.register(SEARCH_SHORTCUT, openSearchWindow)) {
+    console.log(`⚠️ Search shortcut ${SEARCH_SHORTCUT} is used by another application`);
+  }
+}
+
+// Text is extracted here even when the service summarized the document, and never leaves this computer
+async function indexDocument(filePath, { contentHash, summary, text = null }) {
+  if (!searchIndex || searchIndex.has(filePath, contentHash)) return;
+  
+  // The index holds the text of the version summarized before this one, if any
+  const previousVersion = searchIndex.getVersion(filePath);
+  const previousText = previousVersion ? searchIndex.getText(filePath) : null;
+  
+  try {
+    if (text === null) {
+      const buffer = await fs.promises.readFile(filePath);
+      text = await summarizer.extractTextFromBuffer(buffer, path.basename(filePath));
+    }
+    
+    if (previousText !== null) {
+      showDocumentChanges(filePath, previousVersion, previousText, text);
+    }
+    
+    searchIndex.add({ filePath, contentHash, text, summary });
+    console.log('🔎 Indexed for search:', path.basename(filePath));
+  } catch (error) {
+    console.error('❌ Could not index document for search:', error.message);
+  }
+}
+
+// "What changed" next to the summary of a document opened again after edits
+function showDocumentChanges(filePath, previousVersion, previousText, text) {
+  const changes = diffSections(previousText, text);
+  console.log(`🔄 Changed since the previous version of ${path.basename(filePath)}: ${changes.summary.split('\n')[0]}`);
+  
+  // Only while the new summary is the one shown
+  if (isSameFile(currentFilePath, filePath)) {
+    safelySend('show-changes', {
+      filePath,
+      previousAt: previousVersion.indexedAt,
+      changes
+    });
+  }
+}
+
+function openSearchWindow() {
+  if (searchWindow && !searchWindow.isDestroyed()) {
+    searchWindow.show();
+    searchWindow.focus();
+    return;
+  }
+  
+  searchWindow = createSearchWindow();
+  searchWindow.on('closed', () => {
+    searchWindow = null;
+  });
+}
+
+// ─── ⚙️ Settings ──────────────────────────────────────────────────
+function setupSettings() {
+  try {
+    settings = new Settings();
+  } catch (error) {
+    // Unreadable or invalid settings file: run on the built-in defaults
+    console.error('❌ Could not load settings:', error.message);
+    return;
+  }
+  
+  applySettingsToConfig(settings.get());
+  settings.on('change', (values, previous) => applySettings(settings.get(), previous));
+  
+  ipcMain.handle('get-settings', async () => ({
+    values: settings.get(),
+    defaults: settings.getDefaults(),
+    supportedTypes: Settings.SUPPORTED_TYPES,
+    path: settings.path
+  }));
+  
+  ipcMain.handle('save-settings', async (event, values) => {
+    try {
+      return { success: true, values: settings.update(values) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+  
+  ipcMain.handle('reset-settings', async () => {
+    return { success: true, values: settings.reset() };
+  });
+}
+
+function applySettingsToConfig(values) {
+  CONFIG.API_BASE_URL = values.api.baseUrl;
+  CONFIG.API_TIMEOUT = values.api.timeoutSeconds * 1000;
+  CONFIG.OFFLINE_FALLBACK = values.api.offlineFallback;
+  CONFIG.MAX_FILE_SIZE = values.processing.maxFileSizeMB * 1024 * 1024;
+  CONFIG.MAX_CONCURRENT_JOBS = values.processing.maxConcurrentJobs;
+  CONFIG.SUPPORTED_EXTENSIONS = [...values.processing.supportedExtensions];
+  CONFIG.AUTO_HIDE_DELAY = values.window.autoHideSeconds * 1000;
+  CONFIG.ERROR_DISPLAY_DURATION = values.window.errorDisplaySeconds * 1000;
+}
+
+// Called for changes from the Settings window and for hand edits of settings.json
+function applySettings(values, previous) {
+  const changed = (section, key) => {
+    const before = previous[section] || {};
+    return key
+      ? JSON.stringify(values[section][key]) !== JSON.stringify(before[key])
+      : JSON.stringify(values[section]) !== JSON.stringify(before);
+  };
+  
+  applySettingsToConfig(values);
+  console.log('⚙️ Settings changed');
+  
+  if (apiClient && changed('api')) {
+    apiClient.configure({ baseURL: CONFIG.API_BASE_URL, timeout: CONFIG.API_TIMEOUT });
+  }
+  
+  if (processingQueue && changed('processing', 'maxConcurrentJobs')) {
+    processingQueue.setConcurrency(CONFIG.MAX_CONCURRENT_JOBS);
+  }
+  
+  if (documentPipeline && changed('processing', 'supportedExtensions')) {
+    documentPipeline.options.supportedExtensions = CONFIG.SUPPORTED_EXTENSIONS;
+  }
+  
+  if (autoHide && changed('window', 'autoHideSeconds')) {
+    scheduleAutoHide(autoHide.startedAt);
+  }
+  
+  if (changed('monitor') || changed('processing', 'supportedExtensions')) {
+    restartFileMonitoring();
+  }
+  
+  if (settingsWindow && !settingsWindow.isDestroyed()) {
+    settingsWindow.webContents.send('settings-changed', values);
+  }
+}
+
+function openSettingsWindow() {
+  if (settingsWindow && !settingsWindow.isDestroyed()) {
+    settingsWindow.show();
+    settingsWindow.focus();
+    return;
+  }
+  
+  settingsWindow = createSettingsWindow();
+  settingsWindow.on('closed', () => {
+    settingsWindow = null;
+  });
+}
+
 // ─── 🚀 Application Lifecycle ────────────────────────────────────
 app.whenReady().then(async () => {
   console.log('🚀 InsightMint is starting...');
@@ -309,15 +1237,42 @@ app.whenReady().then(async () => {
   // Setup logging
   setupLogging();
   
+  // User settings replace the CONFIG defaults before anything reads them
+  setupSettings();
+  
+  // API token from the OS keychain
+  setupAuthentication();
+  
+  // Past summaries for the History window
+  setupHistory();
+  
+  // Local full-text index of summarized documents
+  setupSearch();
+  
+  // Summaries of unchanged files are reused
+  summaryCache = new SummaryCache({
+    directory: path.join(app.getPath('userData'), 'summary-cache')
+  });
+  summaryCache.evict().catch(error => console.error('❌ Summary cache cleanup failed:', error.message));
+  
+  // Pause, snooze and quiet hours
+  setupPauseController();
+  
   // Create windows and tray
   summaryWindow = createSummaryWindow();
-  tray = createTrayIcon(summaryWindow);
+  tray = createTrayIcon(summaryWindow, getTrayControls());
   
   // Setup IPC
   setupIPC();
   
-  // Check API health
-  await checkAPIHealth();
+  // Check API health now and keep watching it
+  getApiClient().startHealthPolling();
+  
+  // Load privacy rules before anything can be summarized
+  privacyRules = new PrivacyRules({
+    configFile: path.join(app.getPath('userData'), 'privacy-rules.json')
+  });
+  privacyRules.watch();
   
   // Setup file monitoring
   setupFileMonitoring();
@@ -328,6 +1283,63 @@ app.whenReady().then(async () => {
   console.log('✅ InsightMint is ready!');
 });
 
+// ─── ⏸️ Pause, Snooze and Quiet Hours ──────────────────────────────
+function setupPauseController() {
+  pauseController = new PauseController({
+    configFile: path.join(app.getPath('userData'), 'quiet-hours.json')
+  });
+  
+  pauseController.on('change', (state) => {
+    console.log(state.paused ? `⏸️ Summaries paused (${state.reason})` : '▶️ Summaries resumed');
+    applyPauseState(state);
+  });
+  
+  pauseController.start();
+}
+
+// Paused means no polling at all, not just a hidden window
+function applyPauseState(state) {
+  if (fileMonitor) {
+    if (state.paused) {
+      fileMonitor.pause();
+    } else {
+      fileMonitor.resume();
+    }
+  }
+  
+  if (state.paused && summaryWindow && !summaryWindow.isDestroyed() && summaryWindow.isVisible()) {
+    summaryWindow.hide();
+  }
+  
+  updateTrayState(tray);
+}
+
+function getTrayControls() {
+  return {
+    getPauseState: () => pauseController.getState(),
+    pause: (minutes) => pauseController.pause(minutes),
+    resume: () => pauseController.resume(),
+    isQuietHoursEnabled: () => pauseController.config.quietHours.enabled,
+    setQuietHoursEnabled: (enabled) => {
+      pauseController.setQuietHoursEnabled(enabled);
+      updateTrayState(tray);
+    },
+    openSettings: () => openSettingsWindow(),
+    openHistory: () => openHistoryWindow(),
+    openSearch: () => openSearchWindow(),
+    searchShortcut: SEARCH_SHORTCUT,
+    getServiceStatus: () => getApiClient().getStatus(),
+    checkService: () => getApiClient().checkHealth(),
+    getQueueSize: () => (processingQueue ? processingQueue.size : 0),
+    cancelAll: () => cancelProcessing(),
+    editQuietHours: () => {
+      shell.openPath(pauseController.options.configFile).then(error => {
+        if (error) console.error('❌ Could not open quiet hours file:', error);
+      });
+    }
+  };
+}
+
 // Handle file associations
 function handleFileAssociations() {
   // Handle command line arguments
@@ -344,7 +1356,7 @@ function handleFileAssociations() {
 }
 
 // Handle second instance
-app.on('second-instance', (event, commandLine, workingDirectory) => {
+app.on('second-instance', (event, commandLine) => {
   // Show window if someone tried to run another instance
   if (summaryWindow) {
     if (summaryWindow.isMinimized()) summaryWindow.restore();
@@ -380,6 +1392,28 @@ app.on('before-quit', () => {
     fileMonitor.stop();
   }
   
+  if (privacyRules) {
+    privacyRules.unwatch();
+  }
+  
+  if (pauseController) {
+    pauseController.stop();
+  }
+  
+  if (apiClient) {
+    apiClient.stopHealthPolling();
+  }
+  
+  if (settings) {
+    settings.dispose();
+  }
+  
+  if (searchIndex) {
+    searchIndex.close();
+  }
+  
+  globalShortcut.unregisterAll();
+  
   if (tray) {
     tray.destroy();
   }
@@ -1,143 +1,227 @@
 const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const pdf = require('pdf-parse');
-const mammoth = require('mammoth');
+const busboy = require('busboy');
+// Shared with the desktop app, which runs it offline when this server is unreachable
+const { extractTextFromBuffer, summarizeText, findPassages } = require('./src/summarizer');
 
 const app = express();
 const port = 8000;
 
-app.use(express.json({ limit: '50mb' })); // Increased limit for base64 files
+// Multipart uploads are streamed, so they can be much larger than the base64 JSON limit
+const MAX_UPLOAD_SIZE = Number(process.env.MAX_UPLOAD_SIZE_MB || 500) * 1024 * 1024;
+
+// Comma-separated. Without tokens the server accepts anyone (local development only)
+const API_TOKENS = (process.env.INSIGHTMINT_API_TOKENS || '').split(',').map(token => token.trim()).filter(Boolean);
+// Browser origins allowed to call the API; the desktop app sends no Origin and needs none
+const CORS_ORIGINS = (process.env.INSIGHTMINT_CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const PUBLIC_PATHS = ['/health'];
+
+// Extracted text of recently summarized files, for /ask. Keyed by the SHA-256 of the file,
+// the same hash the desktop app computes, so it can ask without uploading again.
+const MAX_STORED_DOCUMENTS = Number(process.env.MAX_STORED_DOCUMENTS || 100);
+const documents = new Map(); // documentId -> { text, fileName, storedAt }, oldest first
 
-// CORS middleware
+// CORS middleware: only listed origins, and web pages from anywhere else are turned away
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
-  res.header('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
+  const origin = req.headers.origin;
+  res.header('Vary', 'Origin');
+
+  if (origin) {
+    if (!CORS_ORIGINS.includes(origin)) {
+      console.warn(`🚫 Rejected request from origin ${origin}`);
+      return res.status(403).json({ error: 'Origin not allowed.' });
+    }
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.header('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
+  }
+
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(204);
+  }
   next();
 });
 
-// Text extraction function with better error handling
-async function extractTextFromBase64(base64Data, fileName) {
-  const ext = path.extname(fileName).toLowerCase();
-  let text = '';
+// Hashing first makes the comparison constant-time whatever the token lengths
+function isValidToken(token) {
+  const digest = crypto.createHash('sha256').update(token).digest();
+  return API_TOKENS.some(valid => crypto.timingSafeEqual(digest, crypto.createHash('sha256').update(valid).digest()));
+}
 
-  try {
-    // Convert base64 to buffer
-    const fileBuffer = Buffer.from(base64Data, 'base64');
-    console.log(`📄 File buffer size: ${fileBuffer.length} bytes`);
-    
-    if (ext === '.pdf') {
-      console.log('Processing PDF file...');
-      
-      // Try different PDF parsing options
-      const options = {
-        normalizeWhitespace: false,
-        disableCombineTextItems: false,
-        max: 0 // Process all pages
-      };
-      
-      const pdfData = await pdf(fileBuffer, options);
-      text = pdfData.text;
-      
-      console.log(`📊 PDF Info: ${pdfData.numpages} pages, ${text.length} characters`);
-      console.log(`📝 First 200 chars: "${text.substring(0, 200)}"`);
-      
-      // If main text is empty, try metadata or other properties
-      if (text.trim().length < 50 && pdfData.info) {
-        console.log('🔍 Trying PDF metadata...');
-        const metadata = JSON.stringify(pdfData.info, null, 2);
-        text = `PDF Metadata:\n${metadata}\n\nExtracted Text:\n${text}`;
-      }
-      
-    } else if (ext === '.docx' || ext === '.doc') {
-      console.log('Processing Word document...');
-      const { value } = await mammoth.extractRawText({ buffer: fileBuffer });
-      text = value;
-      console.log(`📝 Word doc extracted: ${text.length} characters`);
-    } else {
-      throw new Error(`Unsupported file type: ${ext}`);
-    }
+// Token validation: "Authorization: Bearer <token>" or "X-API-Key: <token>"
+app.use((req, res, next) => {
+  if (API_TOKENS.length === 0 || PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
 
-    console.log(`✅ Final extracted text length: ${text.length} characters`);
-    return text;
-  } catch (error) {
-    console.error('❌ Error extracting text:', error.message);
-    console.error('📋 Error details:', error);
-    throw new Error(`Failed to extract text from ${fileName}: ${error.message}`);
+  const authorization = req.headers.authorization || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+  const token = bearer ? bearer[1].trim() : (req.headers['x-api-key'] || '').trim();
+
+  if (!token || !isValidToken(token)) {
+    console.warn(`🔒 ${token ? 'Invalid' : 'Missing'} API token for ${req.method} ${req.path}`);
+    res.header('WWW-Authenticate', 'Bearer realm="InsightMint"');
+    return res.status(401).json({ error: token ? 'Invalid API token.' : 'API token required.' });
   }
+  next();
+});
+
+app.use(express.json({ limit: '50mb' })); // Increased limit for base64 files
+
+async function extractTextFromBase64(base64Data, fileName) {
+  return extractTextFromBuffer(Buffer.from(base64Data, 'base64'), fileName);
 }
 
-// Enhanced text summarization
-function summarizeText(text, filename) {
-  console.log(`🤖 Summarizing text of length: ${text.length}`);
-  
-  // Handle very short text
-  if (text.trim().length < 20) {
-    return `📄 Document: ${filename}\n❗ Very short content detected (${text.length} characters).\n\nContent:\n${text.trim()}`;
-  }
-  
-  const sentences = text
-    .replace(/\s+/g, ' ')
-    .trim()
-    .split(/[.!?]+/)
-    .filter(sentence => sentence.trim().length > 5) // Reduced minimum length
-    .map(s => s.trim());
-
-  if (sentences.length === 0) {
-    return `📄 Document: ${filename}\n❗ No readable sentences found.\n\nRaw content (first 500 chars):\n${text.substring(0, 500)}`;
+function rememberDocument(documentId, fileName, text) {
+  // Re-inserted so the most recently used documents are the last evicted
+  documents.delete(documentId);
+  documents.set(documentId, { text, fileName, storedAt: Date.now() });
+  while (documents.size > MAX_STORED_DOCUMENTS) {
+    documents.delete(documents.keys().next().value);
   }
 
-  let summary = "";
-  const wordCount = text.split(/\s+/).filter(word => word.length > 0).length;
-  const charCount = text.length;
-  
-  summary += `📄 Document Summary: ${filename}\n`;
-  summary += `📊 Stats: ${wordCount} words, ${charCount} characters, ${sentences.length} sentences\n\n`;
-  
-  // Add content based on length
-  if (text.length < 200) {
-    summary += "📝 Full Content:\n";
-    summary += text.trim();
-  } else {
-    const introSentences = sentences.slice(0, Math.min(5, sentences.length)); // Increased to 5
-    summary += "📋 Key Points:\n";
-    introSentences.forEach((sentence, index) => {
-      summary += `${index + 1}. ${sentence}.\n`;
-    });
-    
-    if (sentences.length > 5) {
-      summary += `\n🔍 Analysis: This document contains ${sentences.length} sentences. `;
-      const keywords = extractKeywords(text);
-      if (keywords.length > 0) {
-        summary += `Main topics appear to focus on: ${keywords.slice(0, 5).join(', ')}.`;
-      }
+  return documentId;
+}
+
+function buildSummaryResponse(text, fileName, documentId = null) {
+  console.log(`📝 Extracted text length: ${text.length}`);
+  console.log(`📋 Text preview: "${text.substring(0, 100)}..."`);
+
+  // Generate summary (don't reject short texts, process them)
+  console.log('🤖 Generating summary...');
+  const summary = summarizeText(text, fileName);
+
+  console.log(`✅ Summary generated successfully for ${fileName}`);
+  console.log(`📊 Response length: ${summary.length} characters`);
+
+  return {
+    summary: summary,
+    filename: fileName,
+    documentId,
+    originalLength: text.length,
+    summaryLength: summary.length,
+    processingTime: new Date().toISOString(),
+    success: true,
+    debug: {
+      extractedChars: text.length,
+      hasContent: text.trim().length > 0
     }
-  }
-  
-  return summary;
+  };
 }
 
-function extractKeywords(text) {
-  try {
-    const words = text.toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
-      .split(/\s+/)
-      .filter(word => word.length > 3) // Reduced minimum length
-      .filter(word => !['this', 'that', 'with', 'have', 'will', 'from', 'they', 'been', 'said', 'each', 'which', 'their', 'time', 'would', 'there', 'could', 'other'].includes(word));
-      
-    const wordFreq = {};
-    words.forEach(word => {
-      wordFreq[word] = (wordFreq[word] || 0) + 1;
+// Streams the "file" part of a multipart upload to a temporary file, hashing it on the way.
+// Resolves { uploadPath, size, documentId, fileName, fields }; the caller deletes uploadPath.
+// Rejects with error.status set for client errors, including a client that disconnects.
+function readMultipartUpload(req) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: MAX_UPLOAD_SIZE } });
+    } catch (error) {
+      error.status = 400;
+      return reject(error);
+    }
+
+    const fields = {};
+    let file = null; // { uploadPath, output, written, hash, size, fileName }
+    let truncated = false;
+    let settled = false;
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      req.unpipe(parser);
+      req.resume();
+      if (file) {
+        file.output.destroy();
+        fs.promises.unlink(file.uploadPath).catch(() => {});
+      }
+      reject(error);
+    };
+
+    const onDisconnect = () => {
+      const error = new Error('Client disconnected during the upload');
+      error.status = 400;
+      fail(error);
+    };
+    req.on('aborted', onDisconnect);
+    req.on('close', () => {
+      if (!req.complete) onDisconnect();
     });
-    
-    return Object.entries(wordFreq)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 10)
-      .map(([word]) => word);
-  } catch (error) {
-    console.error('Error extracting keywords:', error);
-    return [];
-  }
+
+    parser.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on('file', (name, stream, info) => {
+      if (name !== 'file' || settled) {
+        stream.resume();
+        return;
+      }
+
+      const uploadPath = path.join(os.tmpdir(), `insightmint-upload-${crypto.randomUUID()}`);
+      const output = fs.createWriteStream(uploadPath);
+      file = {
+        uploadPath,
+        output,
+        written: new Promise((resolveWrite, rejectWrite) => {
+          output.on('finish', resolveWrite);
+          output.on('error', rejectWrite);
+        }),
+        hash: crypto.createHash('sha256'),
+        size: 0,
+        fileName: info.filename
+      };
+      // Reported once the parser closes
+      file.written.catch(() => {});
+
+      stream.on('data', chunk => {
+        file.hash.update(chunk);
+        file.size += chunk.length;
+      });
+      stream.on('limit', () => {
+        truncated = true;
+      });
+      stream.pipe(output);
+    });
+
+    parser.on('error', error => {
+      error.status = 400;
+      fail(error);
+    });
+
+    parser.on('close', async () => {
+      if (truncated) {
+        const error = new Error(`File exceeds the ${Math.round(MAX_UPLOAD_SIZE / 1024 / 1024)}MB upload limit`);
+        error.status = 413;
+        return fail(error);
+      }
+
+      try {
+        if (file) {
+          await file.written;
+        }
+      } catch (error) {
+        error.status = 500;
+        return fail(error);
+      }
+
+      if (settled) return;
+      settled = true;
+      resolve({
+        uploadPath: file ? file.uploadPath : null,
+        size: file ? file.size : 0,
+        documentId: file ? file.hash.digest('hex') : null,
+        fileName: fields.fileName || (file && file.fileName),
+        fields
+      });
+    });
+
+    req.pipe(parser);
+  });
 }
 
 // Base64 file processing endpoint with enhanced error handling
@@ -175,29 +259,8 @@ app.post('/summarize-file-base64', async (req, res) => {
       });
     }
 
-    console.log(`📝 Extracted text length: ${text.length}`);
-    console.log(`📋 Text preview: "${text.substring(0, 100)}..."`);
-
-    // Generate summary (don't reject short texts, process them)
-    console.log('🤖 Generating summary...');
-    const summary = summarizeText(text, fileName);
-    
-    const response = {
-      summary: summary,
-      filename: fileName,
-      originalLength: text.length,
-      summaryLength: summary.length,
-      processingTime: new Date().toISOString(),
-      success: true,
-      debug: {
-        extractedChars: text.length,
-        hasContent: text.trim().length > 0
-      }
-    };
-
-    res.json(response);
-    console.log(`✅ Summary generated successfully for ${fileName}`);
-    console.log(`📊 Response length: ${summary.length} characters`);
+    const documentId = crypto.createHash('sha256').update(Buffer.from(fileData, 'base64')).digest('hex');
+    res.json(buildSummaryResponse(text, fileName, rememberDocument(documentId, fileName, text)));
     
   } catch (error) {
     console.error('❌ Unexpected error in file summarization:', error);
@@ -210,6 +273,63 @@ app.post('/summarize-file-base64', async (req, res) => {
   }
 });
 
+// Streaming multipart upload endpoint ("file" part plus optional "fileType" field)
+app.post('/summarize-file', async (req, res) => {
+  console.log(`\n🔄 === Processing Upload ===`);
+
+  let upload;
+  try {
+    upload = await readMultipartUpload(req);
+  } catch (uploadError) {
+    console.error('❌ Upload failed:', uploadError.message);
+    return res.status(uploadError.status || 500).json({ 
+      error: `Upload failed: ${uploadError.message}`
+    });
+  }
+
+  const { uploadPath, size, documentId, fileName, fields } = upload;
+  console.log(`📄 File: ${fileName}`);
+  console.log(`🔍 Type: ${fields.fileType}`);
+  console.log(`📊 Uploaded: ${size} bytes`);
+
+  try {
+    if (!fileName || size === 0) {
+      console.error('❌ Missing file or filename');
+      return res.status(400).json({ 
+        error: 'Missing file or filename.',
+        received: {
+          hasFile: size > 0,
+          hasFileName: !!fileName
+        }
+      });
+    }
+
+    let text;
+    try {
+      text = await extractTextFromBuffer(await fs.promises.readFile(uploadPath), fileName);
+    } catch (extractError) {
+      console.error('❌ Text extraction failed:', extractError.message);
+      return res.status(400).json({ 
+        error: `Text extraction failed: ${extractError.message}`,
+        fileName: fileName,
+        fileType: fields.fileType
+      });
+    }
+
+    res.json(buildSummaryResponse(text, fileName, rememberDocument(documentId, fileName, text)));
+  } catch (error) {
+    console.error('❌ Unexpected error in file summarization:', error);
+    res.status(500).json({ 
+      error: 'Internal server error during file processing.',
+      details: error.message
+    });
+  } finally {
+    if (uploadPath) {
+      fs.promises.unlink(uploadPath).catch(() => {});
+    }
+  }
+});
+
 // Original text summarization endpoint
 app.post('/summarize', (req, res) => {
   try {
@@ -250,6 +370,42 @@ app.post('/summarize', (req, res) => {
   }
 });
 
+// Question about a document summarized earlier; answers with its best-matching passages
+app.post('/ask', (req, res) => {
+  const { documentId, question } = req.body || {};
+
+  if (!documentId || typeof question !== 'string' || !question.trim()) {
+    return res.status(400).json({ 
+      error: 'Invalid input. documentId and question are required.' 
+    });
+  }
+
+  const document = documents.get(documentId);
+  if (!document) {
+    // The client uploads the file again through /summarize-file and retries
+    return res.status(404).json({ 
+      error: 'Document not found. Summarize it first.',
+      code: 'DOCUMENT_NOT_FOUND'
+    });
+  }
+
+  console.log(`❓ Question about ${document.fileName}: "${question.substring(0, 100)}"`);
+  const passages = findPassages(document.text, question);
+
+  res.json({
+    documentId,
+    question,
+    answer: passages.length > 0 ? passages[0].text : null,
+    passages,
+    success: true
+  });
+});
+
+// Lets clients check a token without sending a document
+app.get('/auth/verify', (req, res) => {
+  res.json({ valid: true });
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -257,15 +413,19 @@ app.get('/health', (req, res) => {
     message: 'InsightMint API Server is running',
     timestamp: new Date().toISOString(),
     endpoints: {
+      '/summarize-file': 'POST - Upload and summarize files via multipart/form-data',
       '/summarize-file-base64': 'POST - Upload and summarize files via base64',
       '/summarize': 'POST - Summarize raw text',
+      '/ask': 'POST - Ask a question about a summarized document',
+      '/auth/verify': 'GET - Check the API token',
       '/health': 'GET - Health check'
-    }
+    },
+    authentication: API_TOKENS.length > 0 ? 'required' : 'disabled'
   });
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
+// Error handling middleware; Express only treats four-argument middleware as an error handler
+app.use((error, req, res, _next) => {
   console.error('🚨 Unhandled middleware error:', error);
   res.status(500).json({ 
     error: 'Something went wrong!',
@@ -278,8 +438,15 @@ app.listen(port, () => {
   console.log(`\n🚀 InsightMint API Server running at http://localhost:${port}`);
   console.log(`📋 Health check: http://localhost:${port}/health`);
   console.log(`📝 Text summarization: POST http://localhost:${port}/summarize`);
+  console.log(`📄 File summarization: POST http://localhost:${port}/summarize-file (multipart, up to ${Math.round(MAX_UPLOAD_SIZE / 1024 / 1024)}MB)`);
   console.log(`📄 File summarization: POST http://localhost:${port}/summarize-file-base64`);
+  console.log(`❓ Questions: POST http://localhost:${port}/ask (last ${MAX_STORED_DOCUMENTS} documents)`);
   console.log(`📁 Supported file types: PDF, DOCX, DOC`);
+  if (API_TOKENS.length > 0) {
+    console.log(`🔒 API tokens required (${API_TOKENS.length} configured)`);
+  } else {
+    console.log('⚠️ No INSIGHTMINT_API_TOKENS set: accepting requests without a token');
+  }
   console.log(`🔧 Debug mode: Detailed logging enabled\n`);
 });
 
@@ -6,11 +6,45 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
   // Receive summary data from main process
   onShowSummary: (callback) => ipcRenderer.on('show-summary', callback),
+  onShowChanges: (callback) => ipcRenderer.on('show-changes', callback),
   
   // Send actions back to main process
   openFileLocation: (filePath) => ipcRenderer.invoke('open-file-location', filePath),
   openFile: (filePath) => ipcRenderer.invoke('open-file', filePath),
   copySummary: (summary) => ipcRenderer.invoke('copy-summary', summary),
+  refreshSummary: (filePath) => ipcRenderer.invoke('refresh-summary', filePath),
+  
+  // Follow-up questions about the document shown
+  askQuestion: (filePath, question) => ipcRenderer.invoke('ask-question', filePath, question),
+  
+  // Processing queue
+  cancelProcessing: (jobId) => ipcRenderer.invoke('cancel-processing', jobId),
+  getProcessingQueue: () => ipcRenderer.invoke('get-processing-queue'),
+  onQueueChanged: (callback) => ipcRenderer.on('queue-changed', callback),
+  onUploadProgress: (callback) => ipcRenderer.on('upload-progress', callback),
+  
+  // Settings window
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  saveSettings: (values) => ipcRenderer.invoke('save-settings', values),
+  resetSettings: () => ipcRenderer.invoke('reset-settings'),
+  onSettingsChanged: (callback) => ipcRenderer.on('settings-changed', callback),
+  
+  // API token (kept in the OS keychain by the main process)
+  reauthenticate: () => ipcRenderer.invoke('reauthenticate'),
+  getAuthStatus: () => ipcRenderer.invoke('get-auth-status'),
+  saveApiToken: (token) => ipcRenderer.invoke('save-api-token', token),
+  clearApiToken: () => ipcRenderer.invoke('clear-api-token'),
+  
+  // History window
+  getHistory: (filters) => ipcRenderer.invoke('get-history', filters),
+  showHistoryEntry: (id) => ipcRenderer.invoke('show-history-entry', id),
+  deleteHistoryEntries: (ids) => ipcRenderer.invoke('delete-history-entries', ids),
+  exportSummaries: (ids) => ipcRenderer.invoke('export-summaries', ids),
+  onHistoryChanged: (callback) => ipcRenderer.on('history-changed', callback),
+  
+  // Document search (local index)
+  searchDocuments: (query) => ipcRenderer.invoke('search-documents', query),
+  getSearchStats: () => ipcRenderer.invoke('get-search-stats'),
   
   // Remove listeners
   removeAllListeners: (channel) => ipcRenderer.removeAllListeners(channel)
@@ -0,0 +1,295 @@
+// src/ApiClient.js - Summary service client with retries, a circuit breaker and health polling
+const { EventEmitter } = require('events');
+const axios = require('axios');
+const { logAPICall } = require('./logger');
+
+// Network errors worth another attempt, including axios timeouts (ECONNABORTED); anything else is reported straight away
+const TRANSIENT_CODES = [
+    'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE',
+    'EAI_AGAIN', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_NETWORK'
+];
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504];
+
+class ApiClient extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            baseURL: 'http://127.0.0.1:8000',
+            timeout: 120000,
+            retries: 3, // Extra attempts after the first one
+            retryDelay: 1000, // Doubled after every attempt
+            maxRetryDelay: 15000,
+            failureThreshold: 5, // Consecutive failures that open the circuit
+            resetTimeout: 30000, // How long the circuit stays open before a trial request
+            healthInterval: 30000,
+            downHealthInterval: 10000, // Poll faster while the service is down
+            healthTimeout: 5000,
+            slowResponse: 3000, // Health checks slower than this count as degraded
+            getHeaders: () => ({}), // Credentials, read again for every attempt
+            ...options
+        };
+
+        this.state = 'unknown'; // unknown | healthy | degraded | down
+        this.breaker = 'closed'; // closed | open | half-open
+        this.openedAt = 0;
+        this.trialInFlight = false; // Half-open lets a single request through
+        this.consecutiveFailures = 0;
+        this.lastError = null;
+        this.lastCheckedAt = null;
+        this.lastLatency = null;
+        this.healthTimer = null;
+        this.polling = false;
+    }
+
+    // ─── Requests ───────────────────────────────────────────────────
+    // config may be a function returning a fresh axios config per attempt,
+    // which is needed when the body is a stream that can only be read once.
+    async request(config) {
+        const makeConfig = typeof config === 'function' ? config : () => config;
+        let attempt = 0;
+
+        while (true) {
+            const isTrial = this.checkBreaker();
+
+            const attemptConfig = makeConfig(attempt);
+            const method = (attemptConfig.method || 'get').toUpperCase();
+            const started = Date.now();
+
+            try {
+                const response = await axios.request({
+                    baseURL: this.options.baseURL,
+                    timeout: this.options.timeout,
+                    ...attemptConfig,
+                    headers: { ...this.options.getHeaders(), ...attemptConfig.headers }
+                });
+
+                logAPICall(attemptConfig.url, method, response.status, Date.now() - started, { attempt });
+                this.recordSuccess();
+                return response;
+            } catch (error) {
+                const status = error.response ? error.response.status : null;
+                logAPICall(attemptConfig.url, method, status, Date.now() - started, {
+                    attempt,
+                    error: error.code || error.message
+                });
+
+                if (axios.isCancel(error) || (attemptConfig.signal && attemptConfig.signal.aborted)) {
+                    throw error;
+                }
+
+                if (error.response && !this.isTransient(error)) {
+                    // The service answered; it is up even if this request was rejected
+                    this.recordSuccess();
+                    throw error;
+                }
+
+                // No answer at all counts against the service, retried or not
+                this.recordFailure(error);
+
+                if (!this.isTransient(error) || attempt >= this.options.retries || this.breaker === 'open') {
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(attempt);
+                console.log(`🔁 ${method} ${attemptConfig.url} failed (${error.code || status}), retrying in ${delay}ms`);
+                await this.sleep(delay, attemptConfig.signal);
+                attempt++;
+            } finally {
+                if (isTrial) this.trialInFlight = false;
+            }
+        }
+    }
+
+    get(url, config = {}) {
+        return this.request({ ...config, method: 'get', url });
+    }
+
+    post(url, data, config = {}) {
+        return this.request({ ...config, method: 'post', url, data });
+    }
+
+    isTransient(error) {
+        if (error.response) {
+            return TRANSIENT_STATUSES.includes(error.response.status);
+        }
+        return TRANSIENT_CODES.includes(error.code);
+    }
+
+    // Exponential backoff with jitter so queued jobs do not retry in lockstep
+    getRetryDelay(attempt) {
+        const delay = Math.min(this.options.retryDelay * 2 ** attempt, this.options.maxRetryDelay);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                return reject(new axios.CanceledError());
+            }
+
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new axios.CanceledError());
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    // ─── Circuit breaker ────────────────────────────────────────────
+    // Throws while the circuit is open; returns true when this request is the half-open trial
+    checkBreaker() {
+        if (this.breaker === 'open' && Date.now() - this.openedAt >= this.options.resetTimeout) {
+            this.breaker = 'half-open';
+            console.log('🔌 Circuit half-open, trying the summary service again');
+        }
+
+        if (this.breaker === 'closed') {
+            return false;
+        }
+
+        if (this.breaker === 'half-open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+
+        const error = new Error('Summary service is failing, requests are paused for a moment');
+        error.code = 'ECIRCUITOPEN';
+        throw error;
+    }
+
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+        if (this.breaker !== 'closed') {
+            console.log('🔌 Circuit closed');
+        }
+        this.breaker = 'closed';
+        this.setState(this.lastLatency !== null && this.lastLatency > this.options.slowResponse ? 'degraded' : 'healthy');
+    }
+
+    recordFailure(error) {
+        this.consecutiveFailures++;
+        this.lastError = error.code || error.message;
+
+        if (this.breaker === 'half-open' || this.consecutiveFailures >= this.options.failureThreshold) {
+            if (this.breaker !== 'open') {
+                console.log(`🔌 Circuit open after ${this.consecutiveFailures} failures`);
+            }
+            this.breaker = 'open';
+            this.openedAt = Date.now();
+            this.setState('down');
+        } else if (this.state !== 'down') {
+            this.setState('degraded');
+        }
+    }
+
+    // ─── Health ─────────────────────────────────────────────────────
+    // Single attempt, outside the retry loop; the poller is the retry
+    async checkHealth() {
+        const started = Date.now();
+
+        try {
+            const response = await axios.get('/health', {
+                baseURL: this.options.baseURL,
+                timeout: this.options.healthTimeout
+            });
+
+            this.lastLatency = Date.now() - started;
+            this.lastCheckedAt = new Date();
+            logAPICall('/health', 'GET', response.status, this.lastLatency);
+
+            // A healthy answer lets the open circuit try again straight away
+            if (this.breaker === 'open') {
+                this.breaker = 'half-open';
+            }
+            this.consecutiveFailures = 0;
+            this.setState(this.lastLatency > this.options.slowResponse ? 'degraded' : 'healthy');
+            return true;
+        } catch (error) {
+            this.lastLatency = null;
+            this.lastCheckedAt = new Date();
+            this.lastError = error.code || error.message;
+            logAPICall('/health', 'GET', error.response ? error.response.status : null, Date.now() - started, {
+                error: this.lastError
+            });
+
+            this.setState('down');
+            return false;
+        }
+    }
+
+    startHealthPolling() {
+        if (this.polling) {
+            return;
+        }
+
+        this.polling = true;
+        const poll = async () => {
+            await this.checkHealth();
+            if (!this.polling) return;
+
+            const interval = this.state === 'down' ? this.options.downHealthInterval : this.options.healthInterval;
+            this.healthTimer = setTimeout(poll, interval);
+        };
+        poll();
+    }
+
+    stopHealthPolling() {
+        this.polling = false;
+        clearTimeout(this.healthTimer);
+        this.healthTimer = null;
+    }
+
+    // Settings changed while running; a new address starts over from an unknown state
+    configure(options) {
+        const addressChanged = options.baseURL && options.baseURL !== this.options.baseURL;
+        this.options = { ...this.options, ...options };
+
+        if (addressChanged) {
+            this.breaker = 'closed';
+            this.consecutiveFailures = 0;
+            this.lastLatency = null;
+            this.lastError = null;
+            this.setState('unknown');
+
+            if (this.polling) {
+                this.stopHealthPolling();
+                this.startHealthPolling();
+            }
+        }
+    }
+
+    setState(state) {
+        if (state === this.state) {
+            return;
+        }
+
+        const previous = this.state;
+        this.state = state;
+        const icons = { healthy: '✅', degraded: '⚠️', down: '❌', unknown: '🔍' };
+        console.log(`${icons[state]} Summary service is ${state}`);
+        this.emit('state', state, previous);
+    }
+
+    // Whether a request has a chance: the service is not known to be down
+    isAvailable() {
+        return this.state !== 'down' && this.state !== 'unknown' && this.breaker !== 'open';
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            breaker: this.breaker,
+            consecutiveFailures: this.consecutiveFailures,
+            lastError: this.lastError,
+            lastCheckedAt: this.lastCheckedAt,
+            latency: this.lastLatency
+        };
+    }
+}
+
+module.exports = ApiClient;
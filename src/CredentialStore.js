@@ -0,0 +1,83 @@
+// src/CredentialStore.js - API token kept encrypted with the OS keychain (Electron safeStorage)
+const fs = require('fs');
+const path = require('path');
+
+class CredentialStore {
+    constructor(options = {}) {
+        this.options = {
+            file: null, // Encrypted token on disk; never written in plain text
+            safeStorage: null, // Electron's safeStorage, passed in so this module stays testable
+            ...options
+        };
+
+        if (!this.options.file || !this.options.safeStorage) {
+            throw new Error('CredentialStore needs a file and safeStorage');
+        }
+
+        this.token = undefined; // Decrypted once, then kept in memory
+    }
+
+    isEncryptionAvailable() {
+        try {
+            return this.options.safeStorage.isEncryptionAvailable();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getToken() {
+        if (this.token !== undefined) {
+            return this.token;
+        }
+
+        this.token = null;
+        try {
+            if (fs.existsSync(this.options.file) && this.isEncryptionAvailable()) {
+                const { apiToken } = JSON.parse(fs.readFileSync(this.options.file, 'utf8'));
+                if (apiToken) {
+                    this.token = this.options.safeStorage.decryptString(Buffer.from(apiToken, 'base64'));
+                }
+            }
+        } catch (error) {
+            // Encrypted under another user or machine: treat as signed out
+            console.error('❌ Could not read the stored API token:', error.message);
+        }
+
+        return this.token;
+    }
+
+    hasToken() {
+        return Boolean(this.getToken());
+    }
+
+    setToken(token) {
+        const value = String(token || '').trim();
+        if (!value) {
+            throw new Error('The API token is empty');
+        }
+
+        if (!this.isEncryptionAvailable()) {
+            throw new Error('Secure storage is not available on this system, so the token cannot be saved');
+        }
+
+        const encrypted = this.options.safeStorage.encryptString(value).toString('base64');
+        fs.mkdirSync(path.dirname(this.options.file), { recursive: true });
+        fs.writeFileSync(this.options.file, JSON.stringify({ apiToken: encrypted }), { mode: 0o600 });
+
+        this.token = value;
+        console.log('🔑 API token saved');
+    }
+
+    clearToken() {
+        try {
+            fs.unlinkSync(this.options.file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        this.token = null;
+        console.log('🔑 API token removed');
+    }
+}
+
+module.exports = CredentialStore;
@@ -0,0 +1,227 @@
+// src/DocumentPipeline.js - From a detected document to a queued summary job
+const fs = require('fs');
+const path = require('path');
+const { logFileAccess } = require('./logger');
+
+const UNKNOWN_PATH = 'Unknown (from window title)';
+
+// Sources where the user asked for the file directly; these jump the queue
+const MANUAL_SOURCES = ['File Association', 'Second Instance', 'Refresh'];
+
+// Everything between a monitor session and a summary: pause, path confirmation, download offers,
+// privacy rules and the queue. Dialogs and the summary itself are callbacks, so main.js keeps the
+// windows and this can run without Electron.
+class DocumentPipeline {
+    constructor(options = {}) {
+        this.options = {
+            supportedExtensions: ['.pdf', '.doc', '.docx'],
+            queue: null, // ProcessingQueue the summaries run in
+            privacyRules: () => null, // Current PrivacyRules, looked up per document; without them everything is allowed
+            processDelay: 1000, // Lets the reader finish opening the file before it is read
+            summarize: null, // (job, filePath, metadata) => Promise, runs inside the queue
+            isPaused: () => false,
+            confirmPath: async () => null, // (fileInfo) => chosen path for ambiguous title-only detections
+            offerDownload: async () => false, // (fileInfo, signal) => true to summarize a finished download
+            askPrivacy: async () => 'skipped', // (filePath, decision) => 'allowed' or 'skipped'
+            logAccess: logFileAccess,
+            ...options
+        };
+
+        this.monitor = null;
+        this.pendingPrivacyChecks = new Set(); // Paths waiting on a privacy decision, so re-reports don't ask twice
+        this.downloadOffers = new Map(); // sessionId -> AbortController of an open download offer
+        this.declinedDownloads = new Set(); // Download sessions the user chose not to summarize yet
+    }
+
+    // Follows a FileAccessMonitor's document sessions
+    attach(monitor) {
+        this.monitor = monitor;
+        monitor.on('fileOpened', (fileInfo) => this.handleDocumentOpened(fileInfo));
+        monitor.on('sessionUpdated', (fileInfo) => this.handleSessionUpdated(fileInfo));
+        monitor.on('fileClosed', (fileInfo) => this.forgetSession(fileInfo));
+        monitor.on('sessionExpired', (fileInfo) => this.forgetSession(fileInfo));
+    }
+
+    async handleDocumentOpened(fileInfo) {
+        // Detections that were already settling when the pause began
+        if (this.options.isPaused()) {
+            console.log(`⏸️ Paused, ignoring: ${fileInfo.fileName}`);
+            return;
+        }
+
+        console.log('\n🎯 FILE ACCESS DETECTED!');
+        console.log(`📄 File: ${fileInfo.fileName}`);
+        console.log(`📖 Reader: ${fileInfo.readerApplication}`);
+        console.log(`📍 Source: ${fileInfo.sources ? fileInfo.sources.join(', ') : fileInfo.source}`);
+
+        this.options.logAccess(fileInfo);
+
+        let filePath = fileInfo.fullPath;
+
+        // Title-only detection with several files of that name: let the user pick
+        if (fileInfo.pathResolution === 'ambiguous') {
+            filePath = await this.options.confirmPath(fileInfo);
+            if (filePath && this.monitor) {
+                this.monitor.assignDocumentPath(fileInfo.sessionId, filePath);
+            }
+        }
+
+        // Finished downloads are only offered, not summarized straight away
+        const sources = fileInfo.sources || [fileInfo.source];
+        if (sources.length === 1 && sources[0] === 'Download' && !(await this.offerDownload(fileInfo))) {
+            console.log(`⏭️ Download not summarized: ${fileInfo.fileName}`);
+            this.declinedDownloads.add(fileInfo.sessionId);
+            return;
+        }
+
+        if (!filePath || filePath === UNKNOWN_PATH) {
+            return;
+        }
+
+        const metadata = {
+            detectedBy: fileInfo.readerApplication,
+            source: sources.join(', '),
+            processName: fileInfo.processName,
+            processInfo: `${fileInfo.processName} (${fileInfo.processId})`,
+            confidence: fileInfo.confidence,
+            pathResolution: fileInfo.pathResolution
+        };
+
+        await new Promise(resolve => setTimeout(resolve, this.options.processDelay));
+        await this.processFile(filePath, metadata);
+    }
+
+    // Resolves true to summarize; a reader opening the file meanwhile closes the offer and counts as yes
+    async offerDownload(fileInfo) {
+        const controller = new AbortController();
+        this.downloadOffers.set(fileInfo.sessionId, controller);
+
+        try {
+            const accepted = await this.options.offerDownload(fileInfo, controller.signal);
+            return accepted || controller.signal.aborted;
+        } catch (error) {
+            console.error('❌ Could not offer download summary:', error);
+            return false;
+        } finally {
+            this.downloadOffers.delete(fileInfo.sessionId);
+        }
+    }
+
+    // A reader opening a finished download: summarize it as if it had been opened first
+    handleSessionUpdated(fileInfo) {
+        if (!fileInfo.sources.some(source => source !== 'Download')) {
+            return;
+        }
+
+        const offer = this.downloadOffers.get(fileInfo.sessionId);
+        if (offer) {
+            offer.abort();
+        } else if (this.declinedDownloads.delete(fileInfo.sessionId)) {
+            this.handleDocumentOpened(fileInfo);
+        }
+    }
+
+    forgetSession(fileInfo) {
+        this.declinedDownloads.delete(fileInfo.sessionId);
+    }
+
+    queueKey(filePath) {
+        const resolved = path.resolve(filePath);
+        return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+    }
+
+    // Resolves once the summary job settles, or straight away when nothing is queued
+    async processFile(filePath, metadata = {}) {
+        const ext = path.extname(filePath).toLowerCase();
+
+        if (!this.options.supportedExtensions.includes(ext)) {
+            console.log('⏭️ Unsupported file type:', ext);
+            return;
+        }
+
+        if (!fs.existsSync(filePath)) {
+            console.warn('⚠️ File not found:', filePath);
+            return;
+        }
+
+        const key = this.queueKey(filePath);
+        const priority = MANUAL_SOURCES.includes(metadata.source) ? 'high' : 'normal';
+        const queue = this.options.queue;
+
+        if (this.pendingPrivacyChecks.has(key)) {
+            console.log(`⏭️ Already waiting for a privacy decision: ${path.basename(filePath)}`);
+            return;
+        }
+
+        if (queue.findByKey(key) && !metadata.forceRefresh) {
+            console.log(`⏭️ Already queued: ${path.basename(filePath)}`);
+            // Already passed the privacy rules; a manual request still moves it ahead
+            queue.add(key, null, { priority });
+            return;
+        }
+
+        // Privacy rules run before anything is read or uploaded
+        this.pendingPrivacyChecks.add(key);
+        let allowed;
+        try {
+            allowed = await this.isAllowedByPrivacyRules(filePath, metadata);
+        } finally {
+            this.pendingPrivacyChecks.delete(key);
+        }
+        if (!allowed) {
+            return;
+        }
+
+        // A refresh restarts a summary already under way so the cache is skipped
+        const job = queue.add(key, (job) => this.options.summarize(job, filePath, metadata), {
+            label: path.basename(filePath),
+            priority,
+            replace: Boolean(metadata.forceRefresh)
+        });
+
+        try {
+            await job.promise;
+        } catch (error) {
+            // Reported by the job itself
+        }
+    }
+
+    async isAllowedByPrivacyRules(filePath, metadata) {
+        const privacyRules = this.options.privacyRules();
+        if (!privacyRules) {
+            return true;
+        }
+
+        const decision = privacyRules.check(filePath, {
+            readerApplication: metadata.detectedBy,
+            processName: metadata.processName
+        });
+
+        let outcome = decision.action === 'allow' ? 'allowed' : 'blocked';
+        if (decision.action === 'ask') {
+            outcome = await this.options.askPrivacy(filePath, decision);
+        }
+
+        if (outcome === 'allowed') {
+            return true;
+        }
+
+        console.log(`🔒 Not summarized (${outcome}, ${decision.rule || 'default action'}): ${path.basename(filePath)}`);
+
+        // Audit trail only: no content is read for skipped files
+        this.options.logAccess({
+            fileName: path.basename(filePath),
+            fullPath: filePath,
+            readerApplication: metadata.detectedBy,
+            source: metadata.source || 'Direct',
+            privacyAction: outcome,
+            privacyRule: decision.rule
+        });
+
+        return false;
+    }
+}
+
+DocumentPipeline.MANUAL_SOURCES = MANUAL_SOURCES;
+
+module.exports = DocumentPipeline;
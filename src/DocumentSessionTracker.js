@@ -0,0 +1,325 @@
+// src/DocumentSessionTracker.js - Merges raw detections into document sessions
+const { EventEmitter } = require('events');
+const path = require('path');
+
+const UNKNOWN_PATH = 'Unknown (from window title)';
+const HANDLE_SOURCE = 'File Handle Monitor';
+
+// How much a single detection source says the document is really open (0..1)
+const SOURCE_WEIGHTS = {
+    [HANDLE_SOURCE]: 0.95,
+    'Process Analysis': 0.9,
+    'Recent Files Monitor': 0.7,
+    'Window Title Analysis': 0.6,
+    'File System Monitor': 0.5,
+    'Download': 0.5,
+    'Scripted Detector': 1.0
+};
+const DEFAULT_WEIGHT = 0.5;
+
+class DocumentSessionTracker extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            settleDelay: 1500, // Collect detections for this long before emitting
+            sessionWindow: 600000, // 10 minutes without detections ends a session
+            maxDetections: 50, // Detections kept per session
+            ...options
+        };
+
+        this.sessions = new Map();
+        this.nextId = 1;
+        this.focusedSessionId = null;
+    }
+
+    static isProcessAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            // EPERM means the process exists but belongs to someone else
+            return error.code === 'EPERM';
+        }
+    }
+
+    static hasKnownPath(fileInfo) {
+        return Boolean(fileInfo.fullPath) && fileInfo.fullPath !== UNKNOWN_PATH;
+    }
+
+    normalizePath(filePath) {
+        const resolved = path.resolve(filePath);
+        return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+    }
+
+    keyFor(fileInfo) {
+        if (DocumentSessionTracker.hasKnownPath(fileInfo)) {
+            return `path:${this.normalizePath(fileInfo.fullPath)}`;
+        }
+        return `name:${String(fileInfo.fileName).toLowerCase()}`;
+    }
+
+    findSession(fileInfo) {
+        const key = this.keyFor(fileInfo);
+        if (this.sessions.has(key)) {
+            return this.sessions.get(key);
+        }
+
+        // Title-only detections carry just a file name; match them with a path session
+        const fileName = String(fileInfo.fileName).toLowerCase();
+        for (const session of this.sessions.values()) {
+            if (session.fileName.toLowerCase() !== fileName) continue;
+
+            const sessionHasPath = session.fullPath !== UNKNOWN_PATH;
+            if (sessionHasPath !== DocumentSessionTracker.hasKnownPath(fileInfo)) {
+                return session;
+            }
+        }
+
+        return null;
+    }
+
+    record(fileInfo) {
+        const now = Date.now();
+        this.prune(now);
+
+        let session = this.findSession(fileInfo);
+
+        if (!session) {
+            session = {
+                id: `session-${this.nextId++}`,
+                key: this.keyFor(fileInfo),
+                fileName: fileInfo.fileName,
+                fullPath: fileInfo.fullPath || UNKNOWN_PATH,
+                extension: fileInfo.extension,
+                firstSeen: now,
+                lastSeen: now,
+                detections: [],
+                sources: new Set(),
+                emitted: false,
+                timer: null
+            };
+            this.sessions.set(session.key, session);
+
+            session.timer = setTimeout(() => this.emitSession(session), this.options.settleDelay);
+        } else if (session.fullPath === UNKNOWN_PATH && DocumentSessionTracker.hasKnownPath(fileInfo)) {
+            // Upgrade a title-only session once a real path turns up
+            this.sessions.delete(session.key);
+            session.key = this.keyFor(fileInfo);
+            session.fullPath = fileInfo.fullPath;
+            session.fileName = fileInfo.fileName;
+            this.sessions.set(session.key, session);
+        }
+
+        const isNewSource = !session.sources.has(fileInfo.source);
+        session.lastSeen = now;
+        session.detections.push(fileInfo);
+        session.sources.add(fileInfo.source);
+        if (session.detections.length > this.options.maxDetections) {
+            session.detections.shift();
+        }
+
+        if (session.emitted && isNewSource) {
+            this.emit('sessionUpdated', this.toEvent(session));
+        }
+
+        return session;
+    }
+
+    // Gives a title-only session the path found by the PathResolver
+    assignPath(sessionId, fullPath) {
+        const session = Array.from(this.sessions.values()).find(candidate => candidate.id === sessionId);
+        if (!session) {
+            return null;
+        }
+
+        const key = this.keyFor({ fullPath });
+        const existing = this.sessions.get(key);
+        if (existing && existing !== session) {
+            return existing;
+        }
+
+        this.sessions.delete(session.key);
+        session.key = key;
+        session.fullPath = fullPath;
+        this.sessions.set(key, session);
+        return session;
+    }
+
+    emitSession(session) {
+        session.timer = null;
+        if (!this.sessions.has(session.key)) {
+            return;
+        }
+
+        session.emitted = true;
+        this.emit('sessionStarted', this.toEvent(session));
+    }
+
+    getWeight(source) {
+        return SOURCE_WEIGHTS[source] !== undefined ? SOURCE_WEIGHTS[source] : DEFAULT_WEIGHT;
+    }
+
+    getConfidence(session) {
+        // Independent evidence: 1 - product of each source's chance of being wrong
+        let doubt = 1;
+        session.sources.forEach(source => {
+            doubt *= 1 - this.getWeight(source);
+        });
+        return Math.round((1 - doubt) * 100) / 100;
+    }
+
+    getPrimaryDetection(session) {
+        return session.detections.reduce((best, detection) => {
+            return this.getWeight(detection.source) > this.getWeight(best.source) ? detection : best;
+        });
+    }
+
+    toEvent(session) {
+        const primary = this.getPrimaryDetection(session);
+
+        return {
+            ...primary,
+            fileName: session.fileName,
+            fullPath: session.fullPath,
+            extension: session.extension || primary.extension,
+            sessionId: session.id,
+            confidence: this.getConfidence(session),
+            sources: Array.from(session.sources),
+            detectionCount: session.detections.length,
+            firstDetectedAt: new Date(session.firstSeen).toISOString()
+        };
+    }
+
+    getProcessIds(session) {
+        const pids = new Set();
+        session.detections.forEach(detection => {
+            const pid = Number(detection.processId);
+            if (Number.isInteger(pid) && pid > 0) {
+                pids.add(pid);
+            }
+        });
+        return Array.from(pids);
+    }
+
+    // Ends sessions whose reader processes have all exited
+    checkProcesses(isAlive = DocumentSessionTracker.isProcessAlive) {
+        for (const session of Array.from(this.sessions.values())) {
+            const pids = this.getProcessIds(session);
+            if (pids.length > 0 && !pids.some(pid => isAlive(pid))) {
+                this.endSession(session, 'process-exited');
+            }
+        }
+    }
+
+    // Marks the session named in a reader's window title as the focused document
+    focus(fileInfo) {
+        const session = this.findSession(fileInfo);
+        if (!session || !session.emitted || this.focusedSessionId === session.id) {
+            return null;
+        }
+
+        this.focusedSessionId = session.id;
+        session.lastSeen = Date.now();
+        session.focusedAt = session.lastSeen;
+
+        const event = { ...this.toEvent(session), windowTitle: fileInfo.windowTitle };
+        this.emit('sessionFocused', event);
+        return event;
+    }
+
+    // A reader's window title no longer names these sessions' documents. Only sessions this
+    // process alone reported end; one it holds a file handle for stays open until the handle goes.
+    leaveWindow(processId, shownFileNames = []) {
+        const pid = Number(processId);
+        const shown = new Set(shownFileNames.map(fileName => fileName.toLowerCase()));
+        const ended = [];
+
+        for (const session of Array.from(this.sessions.values())) {
+            if (!session.emitted || shown.has(session.fileName.toLowerCase())) continue;
+
+            const pids = this.getProcessIds(session);
+            if (pids.length !== 1 || pids[0] !== pid) continue;
+            if (session.detections.some(detection => detection.source === HANDLE_SOURCE)) continue;
+
+            this.endSession(session, 'window-changed');
+            ended.push(session.id);
+        }
+
+        return ended;
+    }
+
+    close(fileInfo, reason = 'closed') {
+        const session = this.findSession(fileInfo);
+        if (session) {
+            this.endSession(session, reason);
+        }
+        return session;
+    }
+
+    endSession(session, reason) {
+        if (session.timer) clearTimeout(session.timer);
+        this.sessions.delete(session.key);
+
+        if (this.focusedSessionId === session.id) {
+            this.focusedSessionId = null;
+        }
+
+        // Sessions that never reached fileOpened end silently
+        if (!session.emitted) {
+            return;
+        }
+
+        // Nothing saw it close; when it did is unknown, so it is not reported as closed
+        if (reason === 'expired') {
+            this.emit('sessionExpired', {
+                ...this.toEvent(session),
+                reason,
+                openedAt: new Date(session.firstSeen).toISOString(),
+                lastSeenAt: new Date(session.lastSeen).toISOString()
+            });
+            return;
+        }
+
+        const closedAt = Date.now();
+        this.emit('sessionEnded', {
+            ...this.toEvent(session),
+            reason,
+            openedAt: new Date(session.firstSeen).toISOString(),
+            closedAt: new Date(closedAt).toISOString(),
+            durationMs: closedAt - session.firstSeen
+        });
+    }
+
+    prune(now = Date.now()) {
+        for (const session of Array.from(this.sessions.values())) {
+            if (now - session.lastSeen > this.options.sessionWindow) {
+                this.endSession(session, 'expired');
+            }
+        }
+    }
+
+    getSessions() {
+        return Array.from(this.sessions.values())
+            .filter(session => session.emitted)
+            .map(session => ({
+                ...this.toEvent(session),
+                openedAt: new Date(session.firstSeen).toISOString(),
+                lastSeenAt: new Date(session.lastSeen).toISOString(),
+                processIds: this.getProcessIds(session),
+                isFocused: this.focusedSessionId === session.id
+            }));
+    }
+
+    clear() {
+        this.sessions.forEach(session => {
+            if (session.timer) clearTimeout(session.timer);
+        });
+        this.sessions.clear();
+        this.focusedSessionId = null;
+    }
+}
+
+DocumentSessionTracker.UNKNOWN_PATH = UNKNOWN_PATH;
+
+module.exports = DocumentSessionTracker;
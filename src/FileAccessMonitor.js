@@ -1,9 +1,13 @@
 // src/FileAccessMonitor.js - Enhanced File Access Monitoring
 const { EventEmitter } = require('events');
-const { exec } = require('child_process');
-const fs = require('fs');
 const path = require('path');
-const os = require('os');
+const { createDefaultDetectors } = require('./detectors');
+const DocumentSessionTracker = require('./DocumentSessionTracker');
+const PathResolver = require('./PathResolver');
+const ReaderRegistry = require('./ReaderRegistry');
+const HelperProcess = require('./HelperProcess');
+const { runPowerShell, powerShellArgs } = require('./commandRunner');
+const { SCRIPTS, buildHelperScript } = require('./powershellScripts');
 
 class FileAccessMonitor extends EventEmitter {
     constructor(options = {}) {
@@ -16,39 +20,75 @@ class FileAccessMonitor extends EventEmitter {
             handleInterval: 2000,
             recentInterval: 3000,
             maxProcessAge: 300000, // 5 minutes
+            detectors: {}, // Per-detector options keyed by detector name
+            mergeDetections: true, // Emit one fileOpened per document session (needed for fileClosed/fileFocused)
+            sessionSettleDelay: 1500,
+            sessionWindow: 600000, // 10 minutes
+            lifecycleInterval: 5000, // How often reader processes are checked for exit
+            resolvePaths: true, // Look up full paths for title-only detections
+            knownPathsFile: null,
+            watchConfigFile: null, // User-editable watch roots for the fs-watch detector
+            readersFile: null, // User-editable reader registry (process names, title patterns)
+            commandTimeout: 10000, // External command limits
+            maxCommandOutput: 1024 * 1024,
+            useHelper: true, // Keep one PowerShell process alive instead of spawning per scan
+            helper: null, // { command, args } to run another helper speaking the same protocol
             ...options
         };
         
         this.isMonitoring = false;
+        this.isPaused = false;
         this.processMap = new Map();
-        this.fileWatchers = new Map();
+        this.detectors = new Map();
         this.intervals = [];
+        this.helper = null;
         
-        this.readerApps = {
-            'AcroRd32.exe': 'Adobe Acrobat Reader',
-            'Acrobat.exe': 'Adobe Acrobat', 
-            'AcroRd32': 'Adobe Acrobat Reader',
-            'Acrobat': 'Adobe Acrobat',
-            'WINWORD.EXE': 'Microsoft Word',
-            'WINWORD': 'Microsoft Word',
-            'chrome.exe': 'Google Chrome',
-            'chrome': 'Google Chrome',
-            'firefox.exe': 'Mozilla Firefox',
-            'firefox': 'Mozilla Firefox',
-            'msedge.exe': 'Microsoft Edge',
-            'msedge': 'Microsoft Edge',
-            'FoxitReader.exe': 'Foxit Reader',
-            'SumatraPDF.exe': 'SumatraPDF',
-            'POWERPNT.EXE': 'Microsoft PowerPoint',
-            'EXCEL.EXE': 'Microsoft Excel',
-            'notepad.exe': 'Notepad',
-            'Code.exe': 'Visual Studio Code'
+        this.readers = new ReaderRegistry({ configFile: this.options.readersFile });
+
+        // The legacy interval options still tune the built-in detectors
+        const detectorOptions = {
+            'powershell-process': { interval: this.options.scanInterval },
+            'linux-proc': { interval: this.options.scanInterval, handleInterval: this.options.handleInterval },
+            'powershell-handles': { interval: this.options.handleInterval },
+            'recent-folder': { interval: this.options.recentInterval },
+            'fs-watch': { configFile: this.options.watchConfigFile },
+            'downloads': { configFile: this.options.watchConfigFile }
         };
-        
-        // Bind methods to preserve context
-        this.quickProcessScan = this.quickProcessScan.bind(this);
-        this.monitorFileHandles = this.monitorFileHandles.bind(this);
-        this.monitorRecentFiles = this.monitorRecentFiles.bind(this);
+        Object.entries(this.options.detectors).forEach(([name, overrides]) => {
+            detectorOptions[name] = { ...detectorOptions[name], ...overrides };
+        });
+
+        createDefaultDetectors(detectorOptions).forEach(detector => this.registerDetector(detector));
+
+        this.pathResolver = new PathResolver({
+            roots: () => this.getWatchedDirectories(),
+            targetExtensions: this.options.targetExtensions,
+            knownPathsFile: this.options.knownPathsFile
+        });
+
+        this.sessions = new DocumentSessionTracker({
+            settleDelay: this.options.sessionSettleDelay,
+            sessionWindow: this.options.sessionWindow
+        });
+        this.sessions.on('sessionStarted', (fileInfo) => {
+            this.log(`Document session ${fileInfo.sessionId}: ${fileInfo.fileName} (confidence ${fileInfo.confidence}, sources: ${fileInfo.sources.join(', ')})`);
+            this.handleSessionStarted(fileInfo);
+        });
+        this.sessions.on('sessionUpdated', (fileInfo) => {
+            this.emit('sessionUpdated', fileInfo);
+        });
+        this.sessions.on('sessionFocused', (fileInfo) => {
+            this.log(`Document focused: ${fileInfo.fileName}`);
+            this.emit('fileFocused', fileInfo);
+        });
+        this.sessions.on('sessionEnded', (fileInfo) => {
+            console.log(`📕 Document closed: ${fileInfo.fileName} (${fileInfo.reason}, open ${Math.round(fileInfo.durationMs / 1000)}s)`);
+            this.emit('fileClosed', fileInfo);
+        });
+        this.sessions.on('sessionExpired', (fileInfo) => {
+            this.log(`Document session expired: ${fileInfo.fileName} (last seen ${fileInfo.lastSeenAt})`);
+            this.emit('sessionExpired', fileInfo);
+        });
     }
 
     log(message) {
@@ -62,6 +102,66 @@ class FileAccessMonitor extends EventEmitter {
         this.emit('error', { message, error });
     }
 
+    // ─── Detector registry ───────────────────────────────────────────
+    registerDetector(detector) {
+        if (this.detectors.has(detector.name)) {
+            throw new Error(`Detector already registered: ${detector.name}`);
+        }
+
+        detector.attach(this);
+        this.detectors.set(detector.name, detector);
+
+        if (this.isMonitoring && this.shouldRun(detector)) {
+            detector.start();
+        }
+        return detector;
+    }
+
+    unregisterDetector(name) {
+        const detector = this.detectors.get(name);
+        if (!detector) {
+            return false;
+        }
+
+        detector.stop();
+        this.detectors.delete(name);
+        return true;
+    }
+
+    getDetector(name) {
+        return this.detectors.get(name);
+    }
+
+    enableDetector(name) {
+        const detector = this.detectors.get(name);
+        if (!detector) {
+            throw new Error(`Unknown detector: ${name}`);
+        }
+
+        detector.options.enabled = true;
+        if (this.isMonitoring && detector.isSupported()) {
+            detector.start();
+        }
+    }
+
+    disableDetector(name) {
+        const detector = this.detectors.get(name);
+        if (!detector) {
+            throw new Error(`Unknown detector: ${name}`);
+        }
+
+        detector.options.enabled = false;
+        detector.stop();
+    }
+
+    listDetectors() {
+        return Array.from(this.detectors.values()).map(detector => detector.describe());
+    }
+
+    shouldRun(detector) {
+        return detector.options.enabled && detector.isSupported();
+    }
+
     async startAdvancedMonitoring() {
         if (this.isMonitoring) {
             this.log('Monitoring already started');
@@ -70,37 +170,11 @@ class FileAccessMonitor extends EventEmitter {
 
         console.log('🔍 Starting Advanced File Monitoring...');
         this.isMonitoring = true;
+        this.isPaused = false;
 
         try {
-            // Method 1: Fast process scanning
-            const processScanner = setInterval(() => {
-                if (!this.isMonitoring) return;
-                this.quickProcessScan();
-            }, this.options.scanInterval);
-
-            // Method 2: File system watchers
-            this.setupDirectoryWatchers();
-
-            // Method 3: File handle monitoring
-            const handleMonitor = setInterval(() => {
-                if (!this.isMonitoring) return;
-                this.monitorFileHandles();
-            }, this.options.handleInterval);
-
-            // Method 4: Recent files monitoring
-            const recentMonitor = setInterval(() => {
-                if (!this.isMonitoring) return;
-                this.monitorRecentFiles();
-            }, this.options.recentInterval);
-
-            // Method 5: Process cleanup
-            const cleanupInterval = setInterval(() => {
-                if (!this.isMonitoring) return;
-                this.cleanupOldProcesses();
-            }, 30000); // Every 30 seconds
-
-            // Store intervals for cleanup
-            this.intervals = [processScanner, handleMonitor, recentMonitor, cleanupInterval];
+            this.readers.watch();
+            this.startWorkers();
 
             this.log('All monitoring methods started successfully');
             
@@ -110,277 +184,166 @@ class FileAccessMonitor extends EventEmitter {
         }
     }
 
-    cleanupOldProcesses() {
-        const now = Date.now();
-        let cleaned = 0;
-        
-        for (const [key, timestamp] of this.processMap.entries()) {
-            if (now - timestamp > this.options.maxProcessAge) {
-                this.processMap.delete(key);
-                cleaned++;
+    // Detectors and housekeeping intervals; everything that polls or watches
+    startWorkers() {
+        this.detectors.forEach(detector => {
+            if (this.shouldRun(detector)) {
+                detector.start();
+            } else {
+                this.log(`Skipping detector: ${detector.name} (${detector.isSupported() ? 'disabled' : 'unsupported platform'})`);
             }
-        }
-        
-        if (cleaned > 0) {
-            this.log(`Cleaned up ${cleaned} old process entries`);
-        }
-    }
+        });
 
-    async quickProcessScan() {
-        const command = `
-            try {
-                Get-Process | Where-Object { 
-                    $_.ProcessName -match "(AcroRd32|Acrobat|WINWORD|chrome|firefox|msedge|Foxit|Sumatra)" -and 
-                    $_.MainWindowTitle -ne "" 
-                } | ForEach-Object {
-                    try {
-                        $proc = Get-WmiObject Win32_Process -Filter "ProcessId = $($_.Id)" -ErrorAction SilentlyContinue
-                        if ($proc -and $proc.CommandLine) {
-                            [PSCustomObject]@{
-                                Name = $_.ProcessName
-                                Id = $_.Id
-                                Title = $_.MainWindowTitle
-                                CommandLine = $proc.CommandLine
-                                StartTime = $proc.CreationDate
-                            }
-                        }
-                    } catch { }
-                } | ConvertTo-Json -Depth 2
-            } catch {
-                Write-Error "Process scan failed: $($_.Exception.Message)"
-            }
-        `;
+        // Process cleanup
+        const cleanupInterval = setInterval(() => {
+            if (!this.isMonitoring) return;
+            this.cleanupOldProcesses();
+        }, 30000); // Every 30 seconds
 
-        this.executeCommand(command, 'process-scan', (result) => {
-            if (result && result.length > 0) {
-                const processes = Array.isArray(result) ? result : [result];
-                this.log(`Found ${processes.length} relevant processes`);
-                
-                processes.forEach(process => {
-                    const key = `${process.Id}-${process.Name}`;
-                    if (!this.processMap.has(key)) {
-                        this.processMap.set(key, Date.now());
-                        this.analyzeProcess(process);
-                    }
-                });
-            }
-        });
-    }
+        // Document lifecycle: notice reader processes exiting
+        const lifecycleInterval = setInterval(() => {
+            if (!this.isMonitoring) return;
+            this.sessions.checkProcesses();
+        }, this.options.lifecycleInterval);
 
-    setupDirectoryWatchers() {
-        const watchDirs = [
-            path.join(os.homedir(), 'Documents'),
-            path.join(os.homedir(), 'Desktop'), 
-            path.join(os.homedir(), 'Downloads'),
-            'C:\\Users\\Public\\Documents'
-        ].filter(dir => fs.existsSync(dir));
+        // Store intervals for cleanup
+        this.intervals = [cleanupInterval, lifecycleInterval];
+    }
 
-        watchDirs.forEach(dir => {
+    stopWorkers() {
+        // Clear all intervals
+        this.intervals.forEach(interval => clearInterval(interval));
+        this.intervals = [];
+        
+        // Stop detectors
+        this.detectors.forEach(detector => {
             try {
-                this.log(`Setting up watcher for: ${dir}`);
-                
-                const watcher = fs.watch(dir, { recursive: false }, (eventType, filename) => {
-                    if (filename && eventType === 'change') {
-                        this.handleFileSystemEvent(dir, filename);
-                    }
-                });
-                
-                watcher.on('error', (error) => {
-                    this.error(`Watcher error for ${dir}`, error);
-                });
-                
-                this.fileWatchers.set(dir, watcher);
-                console.log(`👀 Watching: ${dir}`);
-                
+                detector.stop();
             } catch (error) {
-                this.error(`Error setting up watcher for ${dir}`, error);
+                this.error(`Error stopping detector ${detector.name}`, error);
             }
         });
-    }
 
-    handleFileSystemEvent(dir, filename) {
-        const ext = path.extname(filename).toLowerCase();
-        
-        if (this.options.targetExtensions.includes(ext)) {
-            const fullPath = path.join(dir, filename);
-            this.log(`File system event: ${filename}`);
-            
-            // Delay to ensure file operation is complete
-            setTimeout(() => {
-                this.checkFileAccess(fullPath, filename);
-            }, 500);
+        // Shut down the helper process
+        if (this.helper) {
+            this.helper.stop();
+            this.helper = null;
         }
     }
 
-    async checkFileAccess(filePath, fileName) {
-        this.log(`Checking file access for: ${fileName}`);
-        
-        const command = `
-            try {
-                $fileName = "${fileName.replace(/"/g, '""')}"
-                $processes = Get-Process | Where-Object { 
-                    $_.MainWindowTitle -like "*$fileName*" -or
-                    $_.ProcessName -match "(AcroRd32|Acrobat|WINWORD|chrome|firefox|msedge)"
-                }
-                $processes | ForEach-Object {
-                    [PSCustomObject]@{
-                        Name = $_.ProcessName
-                        Id = $_.Id
-                        Title = $_.MainWindowTitle
-                        FilePath = "${filePath.replace(/\\/g, '\\\\')}"
-                    }
-                } | ConvertTo-Json -Depth 2
-            } catch {
-                Write-Error "File access check failed: $($_.Exception.Message)"
-            }
-        `;
+    // Stops all polling and watching. Known processes and sessions are kept,
+    // so documents that were already open are not reported again on resume.
+    pause() {
+        if (!this.isMonitoring || this.isPaused) {
+            return;
+        }
 
-        this.executeCommand(command, 'file-access', (result) => {
-            if (result && result.length > 0) {
-                const processes = Array.isArray(result) ? result : [result];
-                
-                processes.forEach(proc => {
-                    this.reportFileOpened({
-                        fileName: fileName,
-                        fullPath: filePath,
-                        extension: path.extname(fileName),
-                        readerApplication: this.getReaderName(proc.Name),
-                        processName: proc.Name,
-                        processId: proc.Id,
-                        windowTitle: proc.Title,
-                        timestamp: new Date().toISOString(),
-                        source: 'File System Monitor'
-                    });
-                });
-            }
-        });
+        this.isPaused = true;
+        this.stopWorkers();
+
+        console.log('⏸️ File monitoring paused.');
+        this.emit('paused');
     }
 
-    async monitorFileHandles() {
-        const command = `
-            try {
-                $processes = Get-Process | Where-Object { 
-                    $_.ProcessName -match "(AcroRd32|Acrobat|WINWORD|chrome|firefox|msedge)" 
-                }
-                foreach ($proc in $processes) {
-                    try {
-                        $wmiProc = Get-WmiObject Win32_Process -Filter "ProcessId = $($proc.Id)" -ErrorAction SilentlyContinue
-                        if ($wmiProc -and $wmiProc.CommandLine -and $wmiProc.CommandLine -match "\\.(pdf|doc|docx)") {
-                            [PSCustomObject]@{
-                                ProcessName = $proc.ProcessName
-                                ProcessId = $proc.Id
-                                WindowTitle = $proc.MainWindowTitle
-                                CommandLine = $wmiProc.CommandLine
-                            }
-                        }
-                    } catch { }
-                } | ConvertTo-Json -Depth 2
-            } catch {
-                Write-Error "Handle monitor failed: $($_.Exception.Message)"
-            }
-        `;
+    resume() {
+        if (!this.isMonitoring || !this.isPaused) {
+            return;
+        }
 
-        this.executeCommand(command, 'handle-monitor', (result) => {
-            if (result && result.length > 0) {
-                const processes = Array.isArray(result) ? result : [result];
-                
-                processes.forEach(proc => {
-                    const key = `handle-${proc.ProcessId}`;
-                    if (!this.processMap.has(key)) {
-                        this.processMap.set(key, Date.now());
-                        this.analyzeProcess(proc);
-                    }
-                });
-            }
-        });
+        this.isPaused = false;
+        this.startWorkers();
+
+        console.log('▶️ File monitoring resumed.');
+        this.emit('resumed');
     }
 
-    async monitorRecentFiles() {
-        const recentFolder = path.join(os.homedir(), 'AppData\\Roaming\\Microsoft\\Windows\\Recent');
+    cleanupOldProcesses() {
+        const now = Date.now();
+        let cleaned = 0;
         
-        try {
-            if (!fs.existsSync(recentFolder)) {
-                return;
+        for (const [key, timestamp] of this.processMap.entries()) {
+            if (now - timestamp > this.options.maxProcessAge) {
+                this.processMap.delete(key);
+                cleaned++;
             }
+        }
 
-            const files = fs.readdirSync(recentFolder);
-            const now = Date.now();
-            
-            files.forEach(file => {
-                if (file.endsWith('.lnk')) {
-                    const filePath = path.join(recentFolder, file);
-                    
-                    try {
-                        const stats = fs.statSync(filePath);
-                        
-                        // Check if file was accessed in last 10 seconds
-                        if (now - stats.mtime.getTime() < 10000) {
-                            this.log(`Recent file detected: ${file}`);
-                            this.analyzeRecentFile(filePath, file);
-                        }
-                    } catch (error) {
-                        // Ignore individual file errors
-                    }
-                }
-            });
-        } catch (error) {
-            this.log(`Recent files monitor error: ${error.message}`);
+        this.sessions.prune(now);
+        
+        if (cleaned > 0) {
+            this.log(`Cleaned up ${cleaned} old process entries`);
         }
     }
 
-    analyzeRecentFile(linkPath, fileName) {
-        const command = `
-            try {
-                $shell = New-Object -ComObject WScript.Shell
-                $shortcut = $shell.CreateShortcut("${linkPath.replace(/\\/g, '\\\\')}")
-                $targetPath = $shortcut.TargetPath
-                if ($targetPath -match "\\.(pdf|doc|docx)$") {
-                    @{
-                        TargetPath = $targetPath
-                        Arguments = $shortcut.Arguments
-                    } | ConvertTo-Json
-                }
-            } catch {
-                Write-Error "Recent file analysis failed: $($_.Exception.Message)"
-            }
-        `;
+    // Ask every running detector that can map a file to its reader process
+    async checkFileAccess(filePath, fileName) {
+        this.log(`Checking file access for: ${fileName}`);
 
-        this.executeCommand(command, 'recent-file', (result) => {
-            if (result && result.TargetPath) {
-                const ext = path.extname(result.TargetPath).toLowerCase();
-                
-                if (this.options.targetExtensions.includes(ext)) {
-                    this.reportFileOpened({
-                        fileName: path.basename(result.TargetPath),
-                        fullPath: result.TargetPath,
-                        extension: ext,
-                        readerApplication: 'Recently Accessed',
-                        processName: 'System',
-                        processId: 'Recent',
-                        timestamp: new Date().toISOString(),
-                        source: 'Recent Files Monitor'
-                    });
+        for (const detector of this.detectors.values()) {
+            if (detector.isRunning && typeof detector.checkFileAccess === 'function') {
+                try {
+                    await detector.checkFileAccess(filePath, fileName);
+                } catch (error) {
+                    this.log(`${detector.name} file-access error: ${error.message}`);
                 }
             }
-        });
+        }
     }
 
-    executeCommand(command, context, callback) {
-        exec(`powershell.exe -Command "${command}"`, (error, stdout, stderr) => {
-            if (error) {
-                this.log(`${context} error: ${error.message}`);
-                return;
+    // ─── Script execution ────────────────────────────────────────────
+    getHelper() {
+        if (!this.options.useHelper) {
+            return null;
+        }
+
+        if (!this.helper) {
+            let helperOptions = this.options.helper;
+            if (!helperOptions && process.platform === 'win32') {
+                helperOptions = { command: 'powershell.exe', args: powerShellArgs(buildHelperScript()) };
             }
+            if (!helperOptions) {
+                return null;
+            }
+
+            this.helper = new HelperProcess({
+                requestTimeout: this.options.commandTimeout,
+                ...helperOptions
+            });
+            this.helper.on('start', (pid) => this.log(`Helper process started (pid ${pid})`));
+            this.helper.on('restart', (count) => this.log(`Restarting helper process (attempt ${count})`));
+            this.helper.on('stderr', (text) => this.log(`Helper stderr: ${text.trim()}`));
+            this.helper.on('protocolError', (error) => this.log(error.message));
+            this.helper.on('unresponsive', (count) => this.log(`Helper process stopped answering (${count} timeouts), restarting it`));
+            this.helper.on('error', (error) => this.log(`Helper process error: ${error.message}`));
+            this.helper.on('failed', (error) => {
+                this.error('Helper process unavailable, falling back to one-off commands', error);
+            });
+        }
+
+        return this.helper;
+    }
+
+    // Runs one of the named PowerShell scripts; dynamic values go in params, never into the script text
+    async runScript(name, scriptParams = {}) {
+        const params = { readerPattern: this.readers.getProcessPattern(), ...scriptParams };
+        const helper = this.getHelper();
 
+        if (helper) {
             try {
-                if (stdout.trim()) {
-                    const result = JSON.parse(stdout);
-                    callback(result);
+                return await helper.request(name, params);
+            } catch (error) {
+                // Given up on, or crashed and waiting out its restart delay: run the script once instead
+                if (error.code !== 'EHELPERFAILED' && error.code !== 'EHELPEREXIT') {
+                    throw error;
                 }
-            } catch (parseError) {
-                this.log(`${context} parse error: ${parseError.message}`);
             }
+        }
+
+        const { stdout } = await runPowerShell(SCRIPTS[name], params, {
+            timeout: this.options.commandTimeout,
+            maxOutput: this.options.maxCommandOutput
         });
+        return stdout.trim() ? JSON.parse(stdout) : null;
     }
 
     analyzeProcess(processData) {
@@ -413,7 +376,7 @@ class FileAccessMonitor extends EventEmitter {
         // Analyze window title
         const title = processData.Title || processData.WindowTitle;
         if (title) {
-            const titleFiles = this.extractFileNamesFromTitle(title);
+            const titleFiles = this.extractFileNamesFromTitle(title, processData.Name || processData.ProcessName);
             titleFiles.forEach(fileName => {
                 const ext = path.extname(fileName).toLowerCase();
                 if (this.options.targetExtensions.includes(ext)) {
@@ -433,22 +396,12 @@ class FileAccessMonitor extends EventEmitter {
         }
     }
 
-    extractFileNamesFromTitle(title) {
-        const files = [];
-        const regex = /([^\\\/]*\.(pdf|doc|docx))/gi;
-        let match;
-        
-        while ((match = regex.exec(title)) !== null) {
-            files.push(match[1]);
-        }
-        
-        return files;
+    extractFileNamesFromTitle(title, processName = null) {
+        return this.readers.extractFileNames(title, processName);
     }
 
     getReaderName(processName) {
-        return this.readerApps[processName] || 
-               this.readerApps[processName + '.exe'] || 
-               processName;
+        return this.readers.getDisplayName(processName);
     }
 
     extractFilePaths(commandLine) {
@@ -485,50 +438,128 @@ class FileAccessMonitor extends EventEmitter {
         console.log(`📊 Source: ${fileInfo.source}`);
         console.log('═'.repeat(60));
 
-        this.emit('fileOpened', fileInfo);
+        this.emit('detection', fileInfo);
+
+        if (this.options.mergeDetections) {
+            this.sessions.record(fileInfo);
+        } else {
+            this.emit('fileOpened', fileInfo);
+        }
+    }
+
+    async handleSessionStarted(fileInfo) {
+        let event = fileInfo;
+
+        if (this.options.resolvePaths && !DocumentSessionTracker.hasKnownPath(fileInfo)) {
+            try {
+                const resolution = await this.pathResolver.resolve(fileInfo.fileName);
+                this.log(`Path resolution for ${fileInfo.fileName}: ${resolution.status} (${resolution.candidates.length} candidates)`);
+
+                event = {
+                    ...fileInfo,
+                    pathResolution: resolution.status,
+                    pathCandidates: resolution.candidates.map(candidate => candidate.path)
+                };
+
+                if (resolution.status === 'resolved') {
+                    event.fullPath = resolution.path;
+                    this.sessions.assignPath(fileInfo.sessionId, resolution.path);
+                }
+            } catch (error) {
+                this.log(`Path resolution failed for ${fileInfo.fileName}: ${error.message}`);
+            }
+        }
+
+        this.emit('fileOpened', event);
+    }
+
+    // Used when the user picks the path of an ambiguous title-only detection
+    assignDocumentPath(sessionId, fullPath) {
+        this.sessions.assignPath(sessionId, fullPath);
+        this.pathResolver.remember(fullPath);
+    }
+
+    getWatchedDirectories() {
+        const directories = [];
+        this.detectors.forEach(detector => {
+            if (typeof detector.getWatchedDirectories === 'function') {
+                directories.push(...detector.getWatchedDirectories());
+            }
+        });
+        return Array.from(new Set(directories));
+    }
+
+    reportFileClosed(fileInfo, reason = 'closed') {
+        this.sessions.close(fileInfo, reason);
+    }
+
+    reportFileFocused(fileInfo) {
+        this.sessions.focus(fileInfo);
+    }
+
+    // Detectors that can see window titles report every title change here
+    observeWindowTitle(processId, title, processName = null) {
+        const fileNames = this.extractFileNamesFromTitle(title, processName);
+        this.sessions.leaveWindow(processId, fileNames);
+        fileNames.forEach(fileName => {
+            this.reportFileFocused({ fileName, processId, windowTitle: title });
+        });
+    }
+
+    getOpenDocuments() {
+        return this.sessions.getSessions();
     }
 
     async testCurrentlyOpen() {
         console.log('\n🔍 Testing currently open files...');
+
+        const procDetector = this.detectors.get('linux-proc');
+        if (procDetector && procDetector.isSupported()) {
+            return this.procTestCurrentlyOpen(procDetector);
+        }
         
-        const command = `
-            try {
-                Get-Process | Where-Object { 
-                    $_.MainWindowTitle -ne "" -and 
-                    ($_.ProcessName -match "(AcroRd32|Acrobat|WINWORD|chrome|firefox|msedge|Foxit|Sumatra)" -or
-                     $_.MainWindowTitle -match "\\.(pdf|doc|docx)")
-                } | ForEach-Object {
-                    [PSCustomObject]@{
-                        Name = $_.ProcessName
-                        Id = $_.Id
-                        Title = $_.MainWindowTitle
-                        HasWindow = $_.MainWindowHandle -ne 0
-                    }
-                } | ConvertTo-Json -Depth 2
-            } catch {
-                Write-Error "Test scan failed: $($_.Exception.Message)"
-            }
-        `;
-
-        return new Promise((resolve) => {
-            this.executeCommand(command, 'test-scan', (result) => {
-                if (result && result.length > 0) {
-                    const processes = Array.isArray(result) ? result : [result];
-                    
-                    console.log(`🔍 Found ${processes.length} processes with windows:`);
-                    processes.forEach((proc, index) => {
-                        console.log(`${index + 1}. ${proc.Name} (${proc.Id})`);
-                        console.log(`   Title: ${proc.Title}`);
-                        console.log(`   Has Window: ${proc.HasWindow}`);
-                    });
-                    
-                    resolve(processes);
-                } else {
-                    console.log('📄 No relevant processes found');
-                    resolve([]);
-                }
+        let result = null;
+        try {
+            result = await this.runScript('test-scan');
+        } catch (error) {
+            this.log(`test-scan error: ${error.message}`);
+        }
+
+        if (result && (!Array.isArray(result) || result.length > 0)) {
+            const processes = Array.isArray(result) ? result : [result];
+            
+            console.log(`🔍 Found ${processes.length} processes with windows:`);
+            processes.forEach((proc, index) => {
+                console.log(`${index + 1}. ${proc.Name} (${proc.Id})`);
+                console.log(`   Title: ${proc.Title}`);
+                console.log(`   Has Window: ${proc.HasWindow}`);
+            });
+            
+            return processes;
+        }
+
+        console.log('📄 No relevant processes found');
+        return [];
+    }
+
+    async procTestCurrentlyOpen(procDetector) {
+        const processes = await procDetector.listCurrentlyOpen();
+
+        if (processes.length === 0) {
+            console.log('📄 No relevant processes found');
+            return [];
+        }
+
+        console.log(`🔍 Found ${processes.length} reader processes:`);
+        processes.forEach((proc, index) => {
+            console.log(`${index + 1}. ${proc.name} (${proc.pid})`);
+            console.log(`   Command: ${proc.commandLine}`);
+            proc.documents.forEach(doc => {
+                console.log(`   Document (${doc.via}): ${doc.path}`);
             });
         });
+
+        return processes;
     }
 
     stop() {
@@ -537,34 +568,30 @@ class FileAccessMonitor extends EventEmitter {
         }
 
         this.isMonitoring = false;
+        this.isPaused = false;
         
-        // Clear all intervals
-        this.intervals.forEach(interval => clearInterval(interval));
-        this.intervals = [];
-        
-        // Close file watchers
-        this.fileWatchers.forEach((watcher, dir) => {
-            try {
-                watcher.close();
-                this.log(`Closed watcher for: ${dir}`);
-            } catch (error) {
-                this.error(`Error closing watcher for ${dir}`, error);
-            }
-        });
-        this.fileWatchers.clear();
+        this.stopWorkers();
+        this.readers.unwatch();
         
-        // Clear process map
+        // Clear process map and pending sessions
         this.processMap.clear();
+        this.sessions.clear();
         
         console.log('✋ File monitoring stopped.');
     }
 
     getStatus() {
+        const detectors = this.listDetectors();
+
         return {
             isMonitoring: this.isMonitoring,
+            isPaused: this.isPaused,
             processCount: this.processMap.size,
-            watcherCount: this.fileWatchers.size,
-            intervalCount: this.intervals.length
+            watcherCount: detectors.reduce((count, detector) => count + (detector.watcherCount || 0), 0),
+            intervalCount: this.intervals.length,
+            sessionCount: this.sessions.sessions.size,
+            helper: this.helper ? this.helper.getStatus() : null,
+            detectors
         };
     }
 }
@@ -0,0 +1,243 @@
+// src/HelperProcess.js - Long-lived child process speaking line-delimited JSON
+const { EventEmitter } = require('events');
+const { spawn } = require('child_process');
+const readline = require('readline');
+
+// Protocol: one JSON object per line in each direction.
+//   request:  {"id": 1, "op": "process-scan", "params": {...}}
+//   response: {"id": 1, "ok": true, "result": ...} or {"id": 1, "ok": false, "error": "..."}
+class HelperProcess extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            command: null,
+            args: [],
+            env: null,
+            requestTimeout: 10000, // 10 seconds
+            maxPending: 8, // Requests in flight before new ones are refused
+            restartDelay: 1000,
+            maxRestartDelay: 30000,
+            maxRestarts: 5, // Consecutive crashes before giving up
+            maxTimeouts: 3, // Consecutive timeouts before a helper that is alive but not answering is restarted
+            ...options
+        };
+
+        this.child = null;
+        this.pending = new Map();
+        this.writeQueue = []; // { id, line } waiting for stdin to drain
+        this.writable = true;
+        this.consecutiveTimeouts = 0;
+        this.nextId = 1;
+        this.restartCount = 0;
+        this.restartTimer = null;
+        this.stopped = false;
+        this.failed = false;
+    }
+
+    get isRunning() {
+        return this.child !== null;
+    }
+
+    // Waits out a pending restart so crashes keep their backoff
+    start() {
+        if (this.child || this.failed || this.restartTimer) {
+            return;
+        }
+
+        this.stopped = false;
+        this.writable = true;
+        this.consecutiveTimeouts = 0;
+
+        const child = spawn(this.options.command, this.options.args, {
+            shell: false,
+            windowsHide: true,
+            env: this.options.env || process.env,
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        this.child = child;
+
+        readline.createInterface({ input: child.stdout }).on('line', (line) => this.handleLine(line));
+        child.stderr.on('data', (chunk) => {
+            this.emit('stderr', chunk.toString('utf8'));
+        });
+        child.stdin.on('error', () => {
+            // Reported through 'exit'
+        });
+        child.stdin.on('drain', () => {
+            if (this.child === child) {
+                this.writable = true;
+                this.flushWrites();
+            }
+        });
+
+        child.on('error', (error) => {
+            this.emit('error', error);
+            this.handleExit(child, null, null);
+        });
+        child.on('exit', (code, signal) => this.handleExit(child, code, signal));
+
+        this.emit('start', child.pid);
+    }
+
+    handleLine(line) {
+        if (!line.trim()) {
+            return;
+        }
+
+        let response;
+        try {
+            response = JSON.parse(line);
+        } catch (error) {
+            this.emit('protocolError', new Error(`Invalid helper response: ${line.slice(0, 200)}`));
+            return;
+        }
+
+        const request = this.pending.get(response.id);
+        if (!request) {
+            // Late answer to a request that already timed out
+            return;
+        }
+
+        this.pending.delete(response.id);
+        clearTimeout(request.timer);
+
+        // A good answer means the helper is healthy again
+        this.restartCount = 0;
+        this.consecutiveTimeouts = 0;
+
+        if (response.ok) {
+            request.resolve(response.result);
+        } else {
+            const error = new Error(response.error || 'Helper request failed');
+            error.code = 'EHELPER';
+            request.reject(error);
+        }
+    }
+
+    handleExit(child, code, signal) {
+        if (this.child !== child) {
+            return;
+        }
+        this.child = null;
+        this.writeQueue = [];
+
+        this.rejectAll(`Helper process exited (code ${code}, signal ${signal})`, 'EHELPEREXIT');
+        this.emit('exit', { code, signal });
+
+        if (!this.stopped) {
+            this.scheduleRestart();
+        }
+    }
+
+    scheduleRestart() {
+        if (this.restartCount >= this.options.maxRestarts) {
+            this.failed = true;
+            this.emit('failed', new Error(`Helper process crashed ${this.restartCount} times, giving up`));
+            return;
+        }
+
+        const delay = Math.min(
+            this.options.restartDelay * Math.pow(2, this.restartCount),
+            this.options.maxRestartDelay
+        );
+        this.restartCount++;
+
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            if (!this.stopped) {
+                this.emit('restart', this.restartCount);
+                this.start();
+            }
+        }, delay);
+    }
+
+    request(op, params = {}) {
+        if (this.failed) {
+            return Promise.reject(Object.assign(new Error('Helper process is not available'), { code: 'EHELPERFAILED' }));
+        }
+        if (this.pending.size >= this.options.maxPending) {
+            return Promise.reject(Object.assign(new Error(`Helper busy (${this.pending.size} requests pending)`), { code: 'EBUSY' }));
+        }
+
+        this.start();
+        if (!this.child) {
+            return Promise.reject(Object.assign(new Error('Helper process is restarting'), { code: 'EHELPEREXIT' }));
+        }
+
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => this.handleTimeout(id), this.options.requestTimeout);
+
+            this.pending.set(id, { op, resolve, reject, timer });
+            this.writeQueue.push({ id, line: JSON.stringify({ id, op, params }) + '\n' });
+            this.flushWrites();
+        });
+    }
+
+    // Writes queued requests until stdin's buffer is full, then waits for 'drain'
+    flushWrites() {
+        while (this.child && this.writable && this.writeQueue.length > 0) {
+            const { line } = this.writeQueue.shift();
+            this.writable = this.child.stdin.write(line);
+        }
+    }
+
+    handleTimeout(id) {
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        this.pending.delete(id);
+        // Not sent yet: the helper never needs to see it
+        this.writeQueue = this.writeQueue.filter(queued => queued.id !== id);
+        request.reject(Object.assign(new Error(`Helper request ${request.op} timed out after ${this.options.requestTimeout}ms`), { code: 'ETIMEDOUT' }));
+
+        // Alive but no longer answering: restart it like a crash
+        this.consecutiveTimeouts++;
+        if (this.child && this.consecutiveTimeouts >= this.options.maxTimeouts) {
+            this.emit('unresponsive', this.consecutiveTimeouts);
+            this.child.kill();
+        }
+    }
+
+    rejectAll(message, code) {
+        this.pending.forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(Object.assign(new Error(message), { code }));
+        });
+        this.pending.clear();
+    }
+
+    stop() {
+        this.stopped = true;
+
+        if (this.restartTimer) {
+            clearTimeout(this.restartTimer);
+            this.restartTimer = null;
+        }
+
+        if (this.child) {
+            const child = this.child;
+            this.child = null;
+            this.writeQueue = [];
+            child.stdin.end();
+            child.kill();
+        }
+
+        this.rejectAll('Helper process stopped', 'EHELPERSTOPPED');
+    }
+
+    getStatus() {
+        return {
+            running: this.isRunning,
+            pid: this.child ? this.child.pid : null,
+            pending: this.pending.size,
+            queuedWrites: this.writeQueue.length,
+            restarts: this.restartCount,
+            failed: this.failed
+        };
+    }
+}
+
+module.exports = HelperProcess;
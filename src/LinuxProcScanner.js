@@ -0,0 +1,177 @@
+// src/LinuxProcScanner.js - /proc based process and open file discovery for Linux
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+class LinuxProcScanner {
+    constructor(options = {}) {
+        this.options = {
+            procRoot: '/proc',
+            targetExtensions: ['.pdf', '.doc', '.docx'],
+            processNames: [],
+            ...options
+        };
+
+        this.setProcessNames(this.options.processNames);
+    }
+
+    setProcessNames(processNames) {
+        this.processNames = new Set(processNames.map(name => name.toLowerCase()));
+    }
+
+    static isSupported(procRoot = '/proc') {
+        return process.platform === 'linux' && fs.existsSync(path.join(procRoot, 'self'));
+    }
+
+    async listProcesses() {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(this.options.procRoot);
+        } catch (error) {
+            return [];
+        }
+
+        const processes = [];
+        for (const entry of entries) {
+            if (!/^\d+$/.test(entry)) continue;
+
+            const info = await this.readProcess(entry);
+            if (info && this.isReaderProcess(info)) {
+                processes.push(info);
+            }
+        }
+
+        return processes;
+    }
+
+    async readProcess(pid) {
+        const procDir = path.join(this.options.procRoot, String(pid));
+
+        try {
+            const [comm, cmdline] = await Promise.all([
+                fs.promises.readFile(path.join(procDir, 'comm'), 'utf8'),
+                fs.promises.readFile(path.join(procDir, 'cmdline'), 'utf8')
+            ]);
+
+            const args = cmdline.split('\0').filter(arg => arg.length > 0);
+            const cwd = await fs.promises.readlink(path.join(procDir, 'cwd')).catch(() => null);
+
+            return {
+                pid: Number(pid),
+                name: comm.trim(),
+                executable: args.length > 0 ? path.basename(args[0]) : comm.trim(),
+                args,
+                commandLine: args.join(' '),
+                cwd
+            };
+        } catch (error) {
+            // Process exited while scanning, or belongs to another user
+            return null;
+        }
+    }
+
+    isReaderProcess(info) {
+        if (this.processNames.size === 0) return true;
+
+        // comm is truncated to 15 characters, so check the executable name too
+        return this.processNames.has(info.name.toLowerCase()) ||
+               this.processNames.has(info.executable.toLowerCase());
+    }
+
+    isTargetFile(filePath) {
+        return this.options.targetExtensions.includes(path.extname(filePath).toLowerCase());
+    }
+
+    resolveArgumentPath(arg, cwd) {
+        let candidate = arg;
+
+        if (candidate.startsWith('file://')) {
+            try {
+                candidate = fileURLToPath(candidate);
+            } catch (error) {
+                return null;
+            }
+        } else if (candidate.startsWith('-') || /^[a-z][a-z0-9+.-]*:\/\//i.test(candidate)) {
+            // Options and remote URLs are not local documents
+            return null;
+        }
+
+        if (!this.isTargetFile(candidate)) return null;
+
+        if (!path.isAbsolute(candidate)) {
+            if (!cwd) return null;
+            candidate = path.resolve(cwd, candidate);
+        }
+
+        return candidate;
+    }
+
+    getCommandLineDocuments(info) {
+        const documents = [];
+
+        // Skip argv[0], it is the executable itself
+        info.args.slice(1).forEach(arg => {
+            const filePath = this.resolveArgumentPath(arg, info.cwd);
+            if (filePath && !documents.includes(filePath)) {
+                documents.push(filePath);
+            }
+        });
+
+        return documents;
+    }
+
+    async getFileHandleDocuments(info) {
+        const fdDir = path.join(this.options.procRoot, String(info.pid), 'fd');
+        const documents = [];
+
+        let fds;
+        try {
+            fds = await fs.promises.readdir(fdDir);
+        } catch (error) {
+            return documents;
+        }
+
+        for (const fd of fds) {
+            try {
+                const target = (await fs.promises.readlink(path.join(fdDir, fd))).replace(/ \(deleted\)$/, '');
+                if (path.isAbsolute(target) && this.isTargetFile(target) && !documents.includes(target)) {
+                    documents.push(target);
+                }
+            } catch (error) {
+                // Descriptor closed while scanning
+            }
+        }
+
+        return documents;
+    }
+
+    async scan({ includeCommandLine = true, includeFileHandles = true } = {}) {
+        const processes = await this.listProcesses();
+        const results = [];
+
+        for (const info of processes) {
+            const documents = [];
+
+            if (includeCommandLine) {
+                this.getCommandLineDocuments(info).forEach(filePath => {
+                    documents.push({ path: filePath, via: 'cmdline' });
+                });
+            }
+
+            if (includeFileHandles) {
+                const handles = await this.getFileHandleDocuments(info);
+                handles.forEach(filePath => {
+                    if (!documents.some(doc => doc.path === filePath)) {
+                        documents.push({ path: filePath, via: 'fd' });
+                    }
+                });
+            }
+
+            results.push({ ...info, documents });
+        }
+
+        return results;
+    }
+}
+
+module.exports = LinuxProcScanner;
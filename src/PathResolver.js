@@ -0,0 +1,180 @@
+// src/PathResolver.js - Finds the full path of documents known only by file name
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { readXbel } = require('./xbel');
+
+class PathResolver {
+    constructor(options = {}) {
+        this.options = {
+            roots: () => [
+                path.join(os.homedir(), 'Documents'),
+                path.join(os.homedir(), 'Desktop'),
+                path.join(os.homedir(), 'Downloads')
+            ],
+            targetExtensions: ['.pdf', '.doc', '.docx'],
+            maxDepth: 4,
+            maxIndexedFiles: 20000,
+            indexTtl: 60000, // Rebuild the directory index at most once a minute
+            knownPathsFile: null, // JSON file with previously seen/summarized paths
+            maxKnownPaths: 500,
+            useXbel: process.platform === 'linux',
+            ...options
+        };
+
+        this.index = new Map(); // lowercase file name -> Set of full paths
+        this.indexedAt = 0;
+        this.indexing = null;
+        this.knownPaths = this.loadKnownPaths();
+    }
+
+    // ─── Previously seen paths ──────────────────────────────────────
+    loadKnownPaths() {
+        if (!this.options.knownPathsFile) {
+            return [];
+        }
+
+        try {
+            const paths = JSON.parse(fs.readFileSync(this.options.knownPathsFile, 'utf8'));
+            return Array.isArray(paths) ? paths : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveKnownPaths() {
+        if (!this.options.knownPathsFile) {
+            return;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.options.knownPathsFile), { recursive: true });
+            fs.writeFileSync(this.options.knownPathsFile, JSON.stringify(this.knownPaths, null, 2));
+        } catch (error) {
+            console.error('❌ Failed to save known paths:', error.message);
+        }
+    }
+
+    remember(filePath) {
+        if (!filePath || !path.isAbsolute(filePath)) {
+            return;
+        }
+
+        this.knownPaths = [filePath, ...this.knownPaths.filter(known => known !== filePath)]
+            .slice(0, this.options.maxKnownPaths);
+        this.saveKnownPaths();
+    }
+
+    // ─── Directory index ────────────────────────────────────────────
+    async buildIndex() {
+        const index = new Map();
+        let fileCount = 0;
+
+        const walk = async (dir, depth) => {
+            if (depth > this.options.maxDepth || fileCount >= this.options.maxIndexedFiles) return;
+
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                return;
+            }
+
+            for (const entry of entries) {
+                if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(fullPath, depth + 1);
+                } else if (entry.isFile() && this.isTargetFile(entry.name)) {
+                    this.addToIndex(index, fullPath);
+                    fileCount++;
+                }
+            }
+        };
+
+        const roots = typeof this.options.roots === 'function' ? this.options.roots() : this.options.roots;
+        for (const root of roots) {
+            await walk(root, 0);
+        }
+
+        this.index = index;
+        this.indexedAt = Date.now();
+        return index;
+    }
+
+    async ensureIndex() {
+        if (Date.now() - this.indexedAt < this.options.indexTtl) {
+            return this.index;
+        }
+
+        // Share one walk between concurrent lookups
+        if (!this.indexing) {
+            this.indexing = this.buildIndex().finally(() => {
+                this.indexing = null;
+            });
+        }
+        return this.indexing;
+    }
+
+    addToIndex(index, filePath) {
+        const key = path.basename(filePath).toLowerCase();
+        if (!index.has(key)) {
+            index.set(key, new Set());
+        }
+        index.get(key).add(filePath);
+    }
+
+    isTargetFile(fileName) {
+        return this.options.targetExtensions.includes(path.extname(fileName).toLowerCase());
+    }
+
+    // ─── Resolution ─────────────────────────────────────────────────
+    async findCandidates(fileName) {
+        const key = path.basename(fileName).toLowerCase();
+        const candidates = new Set();
+
+        const index = await this.ensureIndex();
+        (index.get(key) || []).forEach(filePath => candidates.add(filePath));
+
+        this.knownPaths
+            .filter(known => path.basename(known).toLowerCase() === key)
+            .forEach(known => candidates.add(known));
+
+        if (this.options.useXbel) {
+            const bookmarks = await readXbel();
+            bookmarks
+                .filter(bookmark => path.basename(bookmark.path).toLowerCase() === key)
+                .forEach(bookmark => candidates.add(bookmark.path));
+        }
+
+        const ranked = [];
+        for (const filePath of candidates) {
+            try {
+                const stats = await fs.promises.stat(filePath);
+                if (stats.isFile()) {
+                    ranked.push({ path: filePath, mtimeMs: stats.mtimeMs, size: stats.size });
+                }
+            } catch (error) {
+                // Stale entry, the file was moved or deleted
+            }
+        }
+
+        // Most recently modified first
+        return ranked.sort((a, b) => b.mtimeMs - a.mtimeMs);
+    }
+
+    async resolve(fileName) {
+        const candidates = await this.findCandidates(fileName);
+
+        if (candidates.length === 0) {
+            return { status: 'not-found', path: null, candidates };
+        }
+        if (candidates.length === 1) {
+            return { status: 'resolved', path: candidates[0].path, candidates };
+        }
+        return { status: 'ambiguous', path: null, candidates };
+    }
+}
+
+module.exports = PathResolver;
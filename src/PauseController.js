@@ -0,0 +1,244 @@
+// src/PauseController.js - Pause, snooze and quiet-hours state for automatic summaries
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const chokidar = require('chokidar');
+
+const DEFAULT_CONFIG = {
+    quietHours: {
+        enabled: false,
+        // days: 0 = Sunday ... 6 = Saturday; windows may cross midnight ("22:00" to "07:00")
+        schedules: [
+            { days: [1, 2, 3, 4, 5], start: '22:00', end: '07:00' }
+        ]
+    }
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        return null;
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function atMinutes(date, minutes) {
+    const result = new Date(date);
+    result.setHours(0, 0, 0, 0);
+    result.setMinutes(minutes);
+    return result;
+}
+
+class PauseController extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            configFile: null, // User-editable JSON with the quiet-hours schedules
+            checkInterval: 30000, // How often quiet hours and snoozes are re-evaluated
+            ...options
+        };
+
+        this.config = this.loadConfig();
+        this.pausedUntil = null; // null, Infinity or a timestamp
+        this.quietOverrideUntil = 0; // "Resume now" during quiet hours lasts until the window ends
+        this.timer = null;
+        this.snoozeTimer = null;
+        this.watcher = null;
+        this.lastState = this.getState();
+    }
+
+    // ─── Configuration ──────────────────────────────────────────────
+    loadConfig() {
+        let config = DEFAULT_CONFIG;
+        const configFile = this.options.configFile;
+
+        if (configFile) {
+            try {
+                if (fs.existsSync(configFile)) {
+                    config = { ...DEFAULT_CONFIG, ...JSON.parse(fs.readFileSync(configFile, 'utf8')) };
+                } else {
+                    // Write the defaults so users have something to edit
+                    fs.mkdirSync(path.dirname(configFile), { recursive: true });
+                    fs.writeFileSync(configFile, JSON.stringify(DEFAULT_CONFIG, null, 2));
+                }
+            } catch (error) {
+                console.error(`❌ Invalid quiet hours in ${configFile}:`, error.message);
+            }
+        }
+
+        const quietHours = { ...DEFAULT_CONFIG.quietHours, ...config.quietHours };
+        quietHours.schedules = (Array.isArray(quietHours.schedules) ? quietHours.schedules : [])
+            .map(schedule => ({
+                days: Array.isArray(schedule.days) ? schedule.days : [0, 1, 2, 3, 4, 5, 6],
+                start: parseTime(schedule.start),
+                end: parseTime(schedule.end)
+            }))
+            .filter(schedule => schedule.start !== null && schedule.end !== null && schedule.start !== schedule.end);
+
+        return { quietHours };
+    }
+
+    saveConfig() {
+        if (!this.options.configFile) {
+            return;
+        }
+
+        const format = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+        const config = {
+            quietHours: {
+                enabled: this.config.quietHours.enabled,
+                schedules: this.config.quietHours.schedules.map(schedule => ({
+                    days: schedule.days,
+                    start: format(schedule.start),
+                    end: format(schedule.end)
+                }))
+            }
+        };
+
+        try {
+            fs.writeFileSync(this.options.configFile, JSON.stringify(config, null, 2));
+        } catch (error) {
+            console.error('❌ Failed to save quiet hours:', error.message);
+        }
+    }
+
+    reload() {
+        this.config = this.loadConfig();
+        this.update();
+    }
+
+    setQuietHoursEnabled(enabled) {
+        this.config.quietHours.enabled = Boolean(enabled);
+        this.saveConfig();
+        this.update();
+    }
+
+    // ─── Pausing ────────────────────────────────────────────────────
+    // minutes = null pauses until resume() is called
+    pause(minutes = null) {
+        clearTimeout(this.snoozeTimer);
+        this.pausedUntil = minutes ? Date.now() + minutes * 60000 : Infinity;
+
+        if (minutes) {
+            this.snoozeTimer = setTimeout(() => this.update(), minutes * 60000);
+        }
+
+        this.update();
+    }
+
+    resume() {
+        clearTimeout(this.snoozeTimer);
+        this.pausedUntil = null;
+
+        const quietWindow = this.getQuietWindow();
+        if (quietWindow) {
+            this.quietOverrideUntil = quietWindow.end.getTime();
+        }
+
+        this.update();
+    }
+
+    // The quiet-hours window containing `date`, or null
+    getQuietWindow(date = new Date()) {
+        if (!this.config.quietHours.enabled) {
+            return null;
+        }
+
+        const time = date.getTime();
+
+        for (const schedule of this.config.quietHours.schedules) {
+            // Check the window starting today and the one that started yesterday
+            for (const offset of [0, -1]) {
+                const day = new Date(time + offset * DAY);
+                if (!schedule.days.includes(day.getDay())) continue;
+
+                const start = atMinutes(day, schedule.start);
+                const end = atMinutes(day, schedule.end);
+                if (schedule.end < schedule.start) {
+                    end.setDate(end.getDate() + 1);
+                }
+
+                if (time >= start.getTime() && time < end.getTime()) {
+                    return { start, end };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    getState(now = Date.now()) {
+        if (this.pausedUntil !== null && this.pausedUntil > now) {
+            return {
+                paused: true,
+                reason: this.pausedUntil === Infinity ? 'manual' : 'snooze',
+                until: this.pausedUntil === Infinity ? null : new Date(this.pausedUntil)
+            };
+        }
+
+        const quietWindow = this.getQuietWindow(new Date(now));
+        if (quietWindow && quietWindow.end.getTime() > this.quietOverrideUntil) {
+            return { paused: true, reason: 'quiet-hours', until: quietWindow.end };
+        }
+
+        return { paused: false, reason: null, until: null };
+    }
+
+    isPaused() {
+        return this.getState().paused;
+    }
+
+    update() {
+        if (this.pausedUntil !== null && this.pausedUntil <= Date.now()) {
+            this.pausedUntil = null;
+        }
+
+        const state = this.getState();
+        const previous = this.lastState;
+        this.lastState = state;
+
+        if (state.paused !== previous.paused || state.reason !== previous.reason ||
+            String(state.until) !== String(previous.until)) {
+            this.emit('change', state);
+        }
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.update(), this.options.checkInterval);
+
+        const configFile = this.options.configFile;
+        if (configFile && fs.existsSync(configFile)) {
+            this.watcher = chokidar.watch(configFile, { ignoreInitial: true });
+            this.watcher.on('change', () => {
+                console.log('🌙 Quiet hours changed, reloading');
+                this.reload();
+            });
+        }
+
+        this.update();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        clearTimeout(this.snoozeTimer);
+        this.snoozeTimer = null;
+
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+}
+
+module.exports = PauseController;
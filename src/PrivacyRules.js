@@ -0,0 +1,209 @@
+// src/PrivacyRules.js - Decides which documents may be sent for summarization
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const chokidar = require('chokidar');
+const picomatch = require('picomatch');
+
+const ACTIONS = ['allow', 'ask', 'deny'];
+const RULE_TYPES = ['folders', 'globs', 'applications', 'keywords'];
+
+const DEFAULT_RULES = {
+    defaultAction: 'allow', // "ask" asks before every document that no rule covers
+    deny: {
+        folders: [],
+        globs: ['**/HR/**', '**/Legal/**', '**/Payroll/**'],
+        applications: [],
+        keywords: ['payslip', 'pay slip', 'payroll', 'salary', 'passport', 'bank statement', 'medical', 'confidential', 'password']
+    },
+    ask: {
+        folders: [],
+        globs: [],
+        applications: [],
+        keywords: ['contract', 'invoice', 'tax']
+    },
+    allow: {
+        folders: [],
+        globs: [],
+        applications: [],
+        keywords: []
+    }
+};
+
+function expandHome(value) {
+    return value.replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+// "Bank_Statement-2024.pdf" -> "bank statement 2024 pdf"
+function normalizeName(value) {
+    return value.toLowerCase().replace(/[\s_\-.]+/g, ' ').trim();
+}
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class PrivacyRules {
+    constructor(options = {}) {
+        this.options = {
+            rules: DEFAULT_RULES,
+            configFile: null, // User-editable JSON, reloaded when it changes
+            ...options
+        };
+
+        this.rules = null;
+        this.compiled = null;
+        this.watcher = null;
+
+        this.load();
+    }
+
+    // ─── Configuration ──────────────────────────────────────────────
+    load() {
+        let rules = this.options.rules;
+        const configFile = this.options.configFile;
+
+        if (configFile) {
+            try {
+                if (fs.existsSync(configFile)) {
+                    rules = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+                } else {
+                    // Write the defaults so users have something to edit
+                    fs.mkdirSync(path.dirname(configFile), { recursive: true });
+                    fs.writeFileSync(configFile, JSON.stringify(rules, null, 2));
+                }
+            } catch (error) {
+                // Keep the previous rules rather than falling back to "allow everything"
+                console.error(`❌ Invalid privacy rules in ${configFile}:`, error.message);
+                if (this.rules) return;
+            }
+        }
+
+        this.rules = this.normalize(rules);
+        this.compiled = this.compile(this.rules);
+    }
+
+    normalize(rules) {
+        const normalized = {
+            defaultAction: ACTIONS.includes(rules.defaultAction) ? rules.defaultAction : 'allow'
+        };
+
+        ACTIONS.forEach(action => {
+            normalized[action] = {};
+            RULE_TYPES.forEach(type => {
+                const values = rules[action] && rules[action][type];
+                normalized[action][type] = Array.isArray(values) ? values.filter(value => typeof value === 'string' && value.trim()) : [];
+            });
+        });
+
+        return normalized;
+    }
+
+    compile(rules) {
+        const compiled = {};
+
+        ACTIONS.forEach(action => {
+            const list = rules[action];
+            compiled[action] = {
+                folders: list.folders.map(folder => ({ value: folder, path: path.resolve(expandHome(folder)) })),
+                globs: list.globs.map(glob => ({ value: glob, match: picomatch(expandHome(glob).split(path.sep).join('/'), { dot: true, nocase: true }) })),
+                applications: list.applications.map(application => ({ value: application, name: application.toLowerCase() })),
+                // Keywords match at the start of a word: "tax" matches "Tax_2024" and "taxes", not "syntax"
+                keywords: list.keywords.map(keyword => ({ value: keyword, pattern: new RegExp(`(^| )${escapeRegex(normalizeName(keyword))}`) }))
+            };
+        });
+
+        return compiled;
+    }
+
+    save() {
+        if (!this.options.configFile) {
+            return;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.options.configFile), { recursive: true });
+            fs.writeFileSync(this.options.configFile, JSON.stringify(this.rules, null, 2));
+        } catch (error) {
+            console.error('❌ Failed to save privacy rules:', error.message);
+        }
+    }
+
+    addRule(action, type, value) {
+        if (!ACTIONS.includes(action) || !RULE_TYPES.includes(type)) {
+            throw new Error(`Unknown privacy rule: ${action}.${type}`);
+        }
+
+        if (!this.rules[action][type].includes(value)) {
+            this.rules[action][type].push(value);
+            this.compiled = this.compile(this.rules);
+            this.save();
+        }
+    }
+
+    watch() {
+        const configFile = this.options.configFile;
+        if (this.watcher || !configFile || !fs.existsSync(configFile)) {
+            return;
+        }
+
+        this.watcher = chokidar.watch(configFile, { ignoreInitial: true });
+        this.watcher.on('change', () => {
+            console.log('🔒 Privacy rules changed, reloading');
+            this.load();
+        });
+    }
+
+    unwatch() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    // ─── Evaluation ─────────────────────────────────────────────────
+    // Deny always wins; allow rules are exceptions to ask rules and the default action.
+    // Returns { action: 'allow' | 'ask' | 'deny', rule: 'deny.keywords: payslip' | null }
+    check(filePath, context = {}) {
+        for (const action of ['deny', 'allow', 'ask']) {
+            const rule = this.findMatch(this.compiled[action], filePath, context);
+            if (rule) {
+                return { action, rule: `${action}.${rule}` };
+            }
+        }
+
+        return { action: this.rules.defaultAction, rule: null };
+    }
+
+    findMatch(list, filePath, context) {
+        const resolved = path.resolve(filePath);
+        const fileName = normalizeName(path.basename(filePath));
+        const applications = [context.readerApplication, context.processName]
+            .filter(Boolean)
+            .map(name => name.toLowerCase());
+
+        const folder = list.folders.find(rule => this.isInside(resolved, rule.path));
+        if (folder) return `folders: ${folder.value}`;
+
+        const slashed = resolved.split(path.sep).join('/');
+        const glob = list.globs.find(rule => rule.match(slashed));
+        if (glob) return `globs: ${glob.value}`;
+
+        const application = list.applications.find(rule => applications.includes(rule.name));
+        if (application) return `applications: ${application.value}`;
+
+        const keyword = list.keywords.find(rule => rule.pattern.test(fileName));
+        if (keyword) return `keywords: ${keyword.value}`;
+
+        return null;
+    }
+
+    isInside(filePath, folder) {
+        const relative = path.relative(folder, filePath);
+        return Boolean(relative) && !relative.startsWith('..') && !path.isAbsolute(relative);
+    }
+}
+
+PrivacyRules.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = PrivacyRules;
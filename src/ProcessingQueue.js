@@ -0,0 +1,190 @@
+// src/ProcessingQueue.js - Summary jobs with a concurrency limit, priorities and cancellation
+const { EventEmitter } = require('events');
+
+const PRIORITIES = {
+    high: 0, // Files the user asked for (file association, second instance)
+    normal: 1 // Files picked up by the monitor
+};
+
+class ProcessingQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            concurrency: 2,
+            ...options
+        };
+
+        this.queued = [];
+        this.running = new Map(); // id -> job
+        this.nextId = 1;
+    }
+
+    // task(job) receives the job; job.signal aborts when the job is cancelled.
+    // A key that is already queued or running returns the existing job instead.
+    // With replace, a queued job gets the new task and a running one is cancelled
+    // and queued again; jobs for one key never run side by side.
+    add(key, task, { label = key, priority = 'normal', data = {}, replace = false } = {}) {
+        const existing = this.findByKey(key);
+        if (existing && existing.status === 'running' && replace) {
+            // The new job waits for the cancelled one to settle
+            existing.replaced = true;
+            existing.controller.abort();
+        } else if (existing) {
+            if (replace) {
+                existing.task = task;
+                existing.label = label;
+                existing.data = data;
+            }
+            // A manual request for a file the monitor already queued jumps ahead
+            if (existing.status === 'queued' && PRIORITIES[priority] < PRIORITIES[existing.priority]) {
+                existing.priority = priority;
+                this.sortQueue();
+                this.emit('changed', this.getJobs());
+            }
+            return existing;
+        }
+
+        const controller = new AbortController();
+        const job = {
+            id: this.nextId++,
+            key,
+            label,
+            priority: PRIORITIES[priority] !== undefined ? priority : 'normal',
+            data,
+            status: 'queued',
+            replaced: false, // Cancelled because a newer job for the same key replaced it
+            addedAt: Date.now(),
+            startedAt: null,
+            controller,
+            signal: controller.signal,
+            task
+        };
+
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        // Callers that do not await the job should not see unhandled rejections
+        job.promise.catch(() => {});
+
+        this.queued.push(job);
+        this.sortQueue();
+        this.emit('added', job);
+        this.emit('changed', this.getJobs());
+
+        this.drain();
+        return job;
+    }
+
+    sortQueue() {
+        this.queued.sort((a, b) => PRIORITIES[a.priority] - PRIORITIES[b.priority] || a.addedAt - b.addedAt);
+    }
+
+    findByKey(key) {
+        return this.queued.find(job => job.key === key) ||
+               Array.from(this.running.values()).find(job => job.key === key) ||
+               null;
+    }
+
+    drain() {
+        while (this.running.size < this.options.concurrency) {
+            const runningKeys = new Set(Array.from(this.running.values()).map(job => job.key));
+            const index = this.queued.findIndex(job => !runningKeys.has(job.key));
+            if (index === -1) {
+                break;
+            }
+            this.run(this.queued.splice(index, 1)[0]);
+        }
+    }
+
+    async run(job) {
+        job.status = 'running';
+        job.startedAt = Date.now();
+        this.running.set(job.id, job);
+        this.emit('started', job);
+        this.emit('changed', this.getJobs());
+
+        try {
+            const result = await job.task(job);
+            if (job.signal.aborted) {
+                throw this.cancelError(job);
+            }
+
+            job.status = 'done';
+            job.resolve(result);
+            this.emit('completed', job, result);
+        } catch (error) {
+            if (job.signal.aborted) {
+                job.status = 'cancelled';
+                job.reject(this.cancelError(job));
+                this.emit('cancelled', job);
+            } else {
+                job.status = 'failed';
+                job.reject(error);
+                this.emit('failed', job, error);
+            }
+        } finally {
+            this.running.delete(job.id);
+            this.emit('changed', this.getJobs());
+            this.drain();
+        }
+    }
+
+    cancelError(job) {
+        const error = new Error(`Job cancelled: ${job.label}`);
+        error.code = 'ECANCELLED';
+        return error;
+    }
+
+    cancel(id) {
+        const index = this.queued.findIndex(job => job.id === id);
+        if (index !== -1) {
+            const [job] = this.queued.splice(index, 1);
+            job.controller.abort();
+            job.status = 'cancelled';
+            job.reject(this.cancelError(job));
+            this.emit('cancelled', job);
+            this.emit('changed', this.getJobs());
+            return true;
+        }
+
+        const job = this.running.get(id);
+        if (job) {
+            // run() settles the job once the task notices the abort
+            job.controller.abort();
+            return true;
+        }
+
+        return false;
+    }
+
+    cancelAll() {
+        const ids = [...this.queued, ...this.running.values()].map(job => job.id);
+        ids.forEach(id => this.cancel(id));
+        return ids.length;
+    }
+
+    setConcurrency(concurrency) {
+        this.options.concurrency = Math.max(1, concurrency);
+        this.drain();
+    }
+
+    // Plain job descriptions for the UI
+    getJobs() {
+        return [...this.running.values(), ...this.queued].map(job => ({
+            id: job.id,
+            label: job.label,
+            priority: job.priority,
+            status: job.status,
+            addedAt: job.addedAt,
+            startedAt: job.startedAt
+        }));
+    }
+
+    get size() {
+        return this.queued.length + this.running.size;
+    }
+}
+
+module.exports = ProcessingQueue;
@@ -0,0 +1,375 @@
+// src/ReaderRegistry.js - User-editable list of reader applications and their window-title formats
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const chokidar = require('chokidar');
+
+// titlePatterns are regular expressions (case-insensitive) run against window titles.
+// The document name is the named group "file", or the first capture group.
+const DEFAULT_READERS = [
+    {
+        id: 'adobe-acrobat-reader',
+        name: 'Adobe Acrobat Reader',
+        processNames: ['AcroRd32.exe', 'AcroRd32'],
+        titlePatterns: ['^(?<file>.+?\\.pdf) - Adobe Acrobat Reader']
+    },
+    {
+        id: 'adobe-acrobat',
+        name: 'Adobe Acrobat',
+        processNames: ['Acrobat.exe', 'Acrobat'],
+        titlePatterns: ['^(?<file>.+?\\.pdf) - Adobe Acrobat']
+    },
+    {
+        id: 'microsoft-word',
+        name: 'Microsoft Word',
+        processNames: ['WINWORD.EXE', 'WINWORD'],
+        titlePatterns: ['^(?<file>.+?\\.docx?)(?: \\[[^\\]]*\\])? - (?:Microsoft )?Word']
+    },
+    {
+        id: 'google-chrome',
+        name: 'Google Chrome',
+        processNames: ['chrome.exe', 'chrome', 'google-chrome'],
+        titlePatterns: ['^(?<file>[^\\\\/]+?\\.pdf)(?: - .*)? - Google Chrome$']
+    },
+    {
+        id: 'chromium',
+        name: 'Chromium',
+        processNames: ['chromium', 'chromium-browser', 'chromium-browse'],
+        titlePatterns: ['^(?<file>[^\\\\/]+?\\.pdf)(?: - .*)? - Chromium$']
+    },
+    {
+        id: 'mozilla-firefox',
+        name: 'Mozilla Firefox',
+        processNames: ['firefox.exe', 'firefox', 'firefox-bin', 'firefox-esr'],
+        titlePatterns: ['^(?<file>[^\\\\/]+?\\.pdf)(?: [-—] .*)? [-—] Mozilla Firefox$']
+    },
+    {
+        id: 'microsoft-edge',
+        name: 'Microsoft Edge',
+        processNames: ['msedge.exe', 'msedge'],
+        titlePatterns: ['^(?<file>[^\\\\/]+?\\.pdf)(?: and \\d+ more pages?)? - .*Microsoft.*Edge$']
+    },
+    {
+        id: 'brave',
+        name: 'Brave',
+        processNames: ['brave', 'brave.exe'],
+        titlePatterns: ['^(?<file>[^\\\\/]+?\\.pdf)(?: - .*)? - Brave$']
+    },
+    {
+        id: 'foxit-reader',
+        name: 'Foxit Reader',
+        processNames: ['FoxitReader.exe', 'FoxitReader', 'FoxitPDFReader.exe', 'FoxitPDFReader'],
+        titlePatterns: ['^(?<file>.+?\\.pdf) - Foxit']
+    },
+    {
+        id: 'sumatrapdf',
+        name: 'SumatraPDF',
+        processNames: ['SumatraPDF.exe', 'SumatraPDF'],
+        titlePatterns: ['^(?<file>.+?\\.pdf)(?: - \\[[^\\]]*\\])? - SumatraPDF']
+    },
+    {
+        id: 'pdf-xchange',
+        name: 'PDF-XChange Editor',
+        processNames: ['PDFXEdit.exe', 'PDFXEdit', 'PDFXCview.exe', 'PDFXCview'],
+        titlePatterns: ['^(?<file>.+?\\.pdf) - PDF-XChange']
+    },
+    {
+        id: 'evince',
+        name: 'Evince',
+        processNames: ['evince'],
+        titlePatterns: ['^(?<file>.+?\\.pdf)(?: — .*)?$']
+    },
+    {
+        id: 'gnome-papers',
+        name: 'GNOME Papers',
+        processNames: ['papers'],
+        titlePatterns: ['^(?<file>.+?\\.pdf)(?: — .*)?$']
+    },
+    {
+        id: 'okular',
+        name: 'Okular',
+        processNames: ['okular', 'okular.exe'],
+        titlePatterns: ['^(?<file>.+?\\.(?:pdf|docx?))(?: [—-] .*)? [—-] Okular$']
+    },
+    {
+        id: 'atril',
+        name: 'Atril',
+        processNames: ['atril'],
+        titlePatterns: []
+    },
+    {
+        id: 'xreader',
+        name: 'Xreader',
+        processNames: ['xreader'],
+        titlePatterns: []
+    },
+    {
+        id: 'zathura',
+        name: 'Zathura',
+        processNames: ['zathura'],
+        titlePatterns: ['^(?<file>[^\\\\/]+?\\.pdf)(?: \\[.*\\])?$']
+    },
+    {
+        id: 'qpdfview',
+        name: 'qpdfview',
+        processNames: ['qpdfview'],
+        titlePatterns: ['^(?<file>.+?\\.pdf) - qpdfview$']
+    },
+    {
+        id: 'mupdf',
+        name: 'MuPDF',
+        processNames: ['mupdf', 'mupdf-gl', 'mupdf-x11'],
+        titlePatterns: ['^(?<file>.+?\\.pdf)(?: - \\d+/\\d+.*)?$']
+    },
+    {
+        id: 'xpdf',
+        name: 'Xpdf',
+        processNames: ['xpdf'],
+        titlePatterns: ['^Xpdf: (?<file>.+?\\.pdf)$']
+    },
+    {
+        id: 'libreoffice',
+        name: 'LibreOffice',
+        processNames: ['soffice.bin', 'soffice', 'libreoffice', 'soffice.exe'],
+        titlePatterns: ['^(?<file>.+?\\.(?:pdf|docx?)) - LibreOffice']
+    },
+    {
+        id: 'abiword',
+        name: 'AbiWord',
+        processNames: ['abiword'],
+        titlePatterns: ['^(?<file>.+?\\.docx?) - AbiWord']
+    },
+    {
+        id: 'wps-writer',
+        name: 'WPS Writer',
+        processNames: ['wps', 'wps.exe'],
+        titlePatterns: ['^(?<file>.+?\\.docx?) - WPS']
+    },
+    {
+        id: 'wps-pdf',
+        name: 'WPS PDF',
+        processNames: ['wpspdf', 'wpspdf.exe'],
+        titlePatterns: ['^(?<file>.+?\\.pdf) - WPS']
+    },
+    // Known by name, but not monitored unless enabled
+    {
+        id: 'microsoft-powerpoint',
+        name: 'Microsoft PowerPoint',
+        processNames: ['POWERPNT.EXE', 'POWERPNT'],
+        titlePatterns: [],
+        enabled: false
+    },
+    {
+        id: 'microsoft-excel',
+        name: 'Microsoft Excel',
+        processNames: ['EXCEL.EXE', 'EXCEL'],
+        titlePatterns: [],
+        enabled: false
+    },
+    {
+        id: 'notepad',
+        name: 'Notepad',
+        processNames: ['notepad.exe', 'notepad'],
+        titlePatterns: [],
+        enabled: false
+    },
+    {
+        id: 'vscode',
+        name: 'Visual Studio Code',
+        processNames: ['Code.exe', 'Code'],
+        titlePatterns: [],
+        enabled: false
+    }
+];
+
+// Used when no reader pattern matches the title
+const FALLBACK_TITLE_PATTERN = /([^\\\/]*\.(pdf|doc|docx))/gi;
+
+function normalizeProcessName(processName) {
+    return String(processName || '').toLowerCase().replace(/\.exe$/, '');
+}
+
+// Written on first run; JSON has no comments, so the instructions are a field
+const CONFIG_STUB = {
+    _comment: 'Readers added here are used along with the built-in ones. An entry with a built-in id ' +
+        '(e.g. "adobe-acrobat-reader") replaces it; "enabled": false turns it off. Fields: id, name, ' +
+        'processNames, titlePatterns (case-insensitive regular expressions; the document name is the group "file").',
+    readers: []
+};
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class ReaderRegistry extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            readers: DEFAULT_READERS, // Built-in entries; the file can override them by id
+            configFile: null, // User-editable JSON, reloaded when it changes
+            ...options
+        };
+
+        this.readers = [];
+        this.byProcessName = new Map(); // normalized process name -> reader
+        this.version = 0;
+        this.watcher = null;
+
+        this.load();
+    }
+
+    // ─── Configuration ──────────────────────────────────────────────
+    load() {
+        let fileReaders = [];
+        const configFile = this.options.configFile;
+
+        if (configFile) {
+            try {
+                if (fs.existsSync(configFile)) {
+                    const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+                    fileReaders = Array.isArray(config.readers) ? config.readers : [];
+                } else {
+                    // Only the user's own entries go in the file; built-ins stay in code so updates reach them
+                    fs.mkdirSync(path.dirname(configFile), { recursive: true });
+                    fs.writeFileSync(configFile, JSON.stringify(CONFIG_STUB, null, 2));
+                }
+            } catch (error) {
+                console.error(`❌ Invalid reader registry in ${configFile}:`, error.message);
+            }
+        }
+
+        // File entries replace built-in entries with the same id; new ids are added
+        const merged = new Map();
+        this.options.readers.forEach(reader => merged.set(reader.id, reader));
+        fileReaders.forEach(reader => {
+            const id = reader.id || reader.name;
+            merged.set(id, { ...merged.get(id), ...reader, id });
+        });
+
+        this.readers = Array.from(merged.values())
+            .map(reader => this.normalizeReader(reader))
+            .filter(Boolean);
+
+        this.byProcessName.clear();
+        this.readers.forEach(reader => {
+            reader.processNames.forEach(processName => {
+                const key = normalizeProcessName(processName);
+                if (!this.byProcessName.has(key)) {
+                    this.byProcessName.set(key, reader);
+                }
+            });
+        });
+
+        this.version++;
+        this.emit('changed', this.readers);
+    }
+
+    normalizeReader(reader) {
+        if (!reader || !reader.name) {
+            return null;
+        }
+
+        const titlePatterns = [];
+        (reader.titlePatterns || []).forEach(pattern => {
+            try {
+                titlePatterns.push(new RegExp(pattern, 'i'));
+            } catch (error) {
+                console.error(`❌ Invalid title pattern for ${reader.name}: ${pattern}`);
+            }
+        });
+
+        return {
+            id: reader.id,
+            name: reader.name,
+            processNames: Array.isArray(reader.processNames) ? reader.processNames : [],
+            titlePatterns,
+            enabled: reader.enabled !== false
+        };
+    }
+
+    watch() {
+        const configFile = this.options.configFile;
+        if (this.watcher || !configFile || !fs.existsSync(configFile)) {
+            return;
+        }
+
+        this.watcher = chokidar.watch(configFile, { ignoreInitial: true });
+        this.watcher.on('change', () => {
+            console.log('📚 Reader registry changed, reloading');
+            this.load();
+        });
+    }
+
+    unwatch() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    // ─── Lookups ────────────────────────────────────────────────────
+    getReaders({ includeDisabled = false } = {}) {
+        return this.readers.filter(reader => includeDisabled || reader.enabled);
+    }
+
+    findByProcessName(processName) {
+        return this.byProcessName.get(normalizeProcessName(processName)) || null;
+    }
+
+    isReaderProcess(processName) {
+        const reader = this.findByProcessName(processName);
+        return Boolean(reader && reader.enabled);
+    }
+
+    getDisplayName(processName) {
+        const reader = this.findByProcessName(processName);
+        return reader ? reader.name : processName;
+    }
+
+    // Every process name of the enabled readers, as written in the registry
+    getProcessNames() {
+        return this.getReaders().reduce((names, reader) => names.concat(reader.processNames), []);
+    }
+
+    // Anchored regex over process names without ".exe", for PowerShell's -match
+    getProcessPattern() {
+        const names = Array.from(new Set(this.getProcessNames().map(name => escapeRegex(name.replace(/\.exe$/i, '')))));
+        return names.length > 0 ? `^(${names.join('|')})$` : '(?!)';
+    }
+
+    // Document names in a window title. The reader's own patterns are tried first,
+    // then those of the other enabled readers, then a generic file-name match.
+    extractFileNames(title, processName = null) {
+        if (!title) {
+            return [];
+        }
+
+        const owner = processName ? this.findByProcessName(processName) : null;
+        const readers = owner ? [owner, ...this.getReaders().filter(reader => reader !== owner)] : this.getReaders();
+
+        for (const reader of readers) {
+            for (const pattern of reader.titlePatterns) {
+                const match = pattern.exec(title);
+                const fileName = match && ((match.groups && match.groups.file) || match[1]);
+                if (fileName) {
+                    return [fileName.trim()];
+                }
+            }
+        }
+
+        const files = [];
+        const regex = new RegExp(FALLBACK_TITLE_PATTERN);
+        let match;
+
+        while ((match = regex.exec(title)) !== null) {
+            files.push(match[1]);
+        }
+
+        return files;
+    }
+}
+
+ReaderRegistry.DEFAULT_READERS = DEFAULT_READERS;
+
+module.exports = ReaderRegistry;
@@ -0,0 +1,354 @@
+// src/SearchIndex.js - Local inverted index over summarized documents, ranked with BM25
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Words, and numbers like "14.3" or "2024-05" kept whole
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[.\-/][\p{N}]+)*/gu;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PHRASE_BOOST = 1.5; // Query words appearing together, in order
+
+function tokenize(text) {
+    return (String(text).toLowerCase().match(TOKEN_PATTERN) || []);
+}
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class SearchIndex {
+    constructor(options = {}) {
+        this.options = {
+            directory: null, // index.json plus one extracted-text file per document
+            snippetLength: 220,
+            maxSnippets: 2,
+            saveDelay: 2000, // Batches writes when several documents are indexed in a row
+            ...options
+        };
+
+        if (!this.options.directory) {
+            throw new Error('SearchIndex needs a directory');
+        }
+
+        this.docs = new Map(); // docId -> { id, filePath, fileName, contentHash, summary, length, indexedAt }
+        this.postings = new Map(); // term -> Map(docId -> term frequency)
+        this.totalLength = 0;
+        this.saveTimer = null;
+        this.saving = Promise.resolve(); // Index writes run one after another
+        this.revision = 0; // Bumped by every save so an older write never replaces a newer one
+        this.pendingWrites = 0;
+
+        fs.mkdirSync(this.textDirectory, { recursive: true });
+        this.load();
+    }
+
+    get indexFile() {
+        return path.join(this.options.directory, 'index.json');
+    }
+
+    get textDirectory() {
+        return path.join(this.options.directory, 'texts');
+    }
+
+    docId(filePath) {
+        const resolved = path.resolve(filePath);
+        const key = process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+        return crypto.createHash('sha1').update(key).digest('hex');
+    }
+
+    textPath(docId) {
+        return path.join(this.textDirectory, `${docId}.txt`);
+    }
+
+    // ─── Persistence ────────────────────────────────────────────────
+    load() {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Could not read search index, starting empty:', error.message);
+            }
+            return;
+        }
+
+        (data.docs || []).forEach(doc => {
+            this.docs.set(doc.id, doc);
+            this.totalLength += doc.length;
+        });
+        Object.entries(data.postings || {}).forEach(([term, entries]) => {
+            this.postings.set(term, new Map(Object.entries(entries)));
+        });
+    }
+
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), this.options.saveDelay);
+    }
+
+    serialize() {
+        const postings = {};
+        this.postings.forEach((entries, term) => {
+            postings[term] = Object.fromEntries(entries);
+        });
+        return JSON.stringify({ docs: Array.from(this.docs.values()), postings });
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const data = this.serialize();
+        const revision = ++this.revision;
+        this.pendingWrites++;
+        this.saving = this.saving.then(() => this.writeIndex(data, revision));
+        return this.saving;
+    }
+
+    async writeIndex(data, revision) {
+        const tempFile = `${this.indexFile}.tmp`;
+        try {
+            await fs.promises.writeFile(tempFile, data);
+            if (revision === this.revision) {
+                await fs.promises.rename(tempFile, this.indexFile);
+            }
+        } catch (error) {
+            console.error('❌ Could not save search index:', error.message);
+        } finally {
+            this.pendingWrites--;
+        }
+    }
+
+    // Blocking write for shutdown, when there is no time to wait for a pending save
+    saveSync() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.revision++;
+
+        const tempFile = `${this.indexFile}.sync.tmp`;
+        try {
+            fs.writeFileSync(tempFile, this.serialize());
+            fs.renameSync(tempFile, this.indexFile);
+        } catch (error) {
+            console.error('❌ Could not save search index:', error.message);
+        }
+    }
+
+    // ─── Indexing ───────────────────────────────────────────────────
+    has(filePath, contentHash) {
+        const doc = this.docs.get(this.docId(filePath));
+        return Boolean(doc && (!contentHash || doc.contentHash === contentHash));
+    }
+
+    // Replaces any earlier version of the same path
+    add({ filePath, contentHash = null, text = '', summary = '' }) {
+        const id = this.docId(filePath);
+        this.removeFromPostings(id);
+
+        const tokens = tokenize(`${summary}\n\n${text}`);
+        const frequencies = new Map();
+        tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+
+        frequencies.forEach((count, term) => {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(id, count);
+        });
+
+        const doc = {
+            id,
+            filePath,
+            fileName: path.basename(filePath),
+            contentHash,
+            summary,
+            length: tokens.length,
+            indexedAt: Date.now()
+        };
+        this.docs.set(id, doc);
+        this.totalLength += doc.length;
+
+        fs.writeFileSync(this.textPath(id), text);
+        this.scheduleSave();
+        return doc;
+    }
+
+    remove(filePath) {
+        const id = this.docId(filePath);
+        if (!this.docs.has(id)) {
+            return false;
+        }
+
+        this.removeFromPostings(id);
+        fs.promises.unlink(this.textPath(id)).catch(() => {});
+        this.scheduleSave();
+        return true;
+    }
+
+    removeFromPostings(id) {
+        const doc = this.docs.get(id);
+        if (!doc) return;
+
+        this.postings.forEach((entries, term) => {
+            if (entries.delete(id) && entries.size === 0) {
+                this.postings.delete(term);
+            }
+        });
+        this.totalLength -= doc.length;
+        this.docs.delete(id);
+    }
+
+    // Extracted text of the version indexed last, or null
+    getText(filePath) {
+        const id = this.docId(filePath);
+        if (!this.docs.has(id)) {
+            return null;
+        }
+
+        try {
+            return fs.readFileSync(this.textPath(id), 'utf8');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // ─── Search ─────────────────────────────────────────────────────
+    // Ranked from the postings alone; text is only read for the results returned
+    async search(query, { limit = 20 } = {}) {
+        const terms = Array.from(new Set(tokenize(query)));
+        if (terms.length === 0 || this.docs.size === 0) {
+            return [];
+        }
+
+        const averageLength = this.totalLength / this.docs.size || 1;
+        const scores = new Map();
+
+        terms.forEach(term => {
+            const entries = this.postings.get(term);
+            if (!entries) return;
+
+            const idf = Math.log(1 + (this.docs.size - entries.size + 0.5) / (entries.size + 0.5));
+            entries.forEach((frequency, id) => {
+                const doc = this.docs.get(id);
+                const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength);
+                scores.set(id, (scores.get(id) || 0) + idf * frequency * (BM25_K1 + 1) / norm);
+            });
+        });
+
+        const hits = Array.from(scores.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit);
+
+        // The phrase boost reorders the results; it does not pull in documents ranked lower
+        const phrase = terms.length > 1 ? new RegExp(terms.map(escapeRegex).join('[^\\p{L}\\p{N}]+'), 'iu') : null;
+
+        const results = await Promise.all(hits.map(async ([id, score]) => {
+            const doc = this.docs.get(id);
+            const text = [doc.summary, await this.readText(id)].filter(Boolean).join('\n\n');
+            const hasPhrase = phrase ? phrase.test(text) : false;
+            return {
+                filePath: doc.filePath,
+                fileName: doc.fileName,
+                indexedAt: doc.indexedAt,
+                score: hasPhrase ? score * PHRASE_BOOST : score,
+                snippets: this.buildSnippets(text, terms)
+            };
+        }));
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    async readText(id) {
+        try {
+            return await fs.promises.readFile(this.textPath(id), 'utf8');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Passages with the most distinct query terms; highlights are [start, end) offsets into each snippet
+    buildSnippets(text, terms) {
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+        const matches = [];
+        let match;
+        while ((match = pattern.exec(text)) !== null && matches.length < 500) {
+            matches.push({ start: match.index, end: match.index + match[0].length, term: match[0].toLowerCase() });
+        }
+
+        if (matches.length === 0) {
+            return [];
+        }
+
+        const length = this.options.snippetLength;
+        const windows = matches.map(first => {
+            const inWindow = matches.filter(other => other.start >= first.start && other.end <= first.start + length);
+            return { start: first.start, distinct: new Set(inWindow.map(item => item.term)).size, count: inWindow.length };
+        });
+        windows.sort((a, b) => b.distinct - a.distinct || b.count - a.count || a.start - b.start);
+
+        const snippets = [];
+        for (const window of windows) {
+            if (snippets.length >= this.options.maxSnippets) break;
+            // Start a little before the first hit, and skip passages overlapping one already taken
+            const start = Math.max(0, window.start - 40);
+            if (snippets.some(snippet => start < snippet.end && start + length > snippet.start)) continue;
+
+            const end = Math.min(text.length, start + length);
+            const highlights = matches
+                .filter(item => item.start >= start && item.end <= end)
+                .map(item => [item.start - start, item.end - start]);
+            snippets.push({ start, end, highlights });
+        }
+
+        return snippets
+            .sort((a, b) => a.start - b.start)
+            .map(snippet => {
+                const raw = text.slice(snippet.start, snippet.end);
+                // Collapse whitespace without moving the highlight offsets
+                return {
+                    text: raw.replace(/\s/g, ' '),
+                    highlights: snippet.highlights,
+                    truncatedStart: snippet.start > 0,
+                    truncatedEnd: snippet.end < text.length
+                };
+            });
+    }
+
+    // { contentHash, indexedAt } of the version indexed last, or null
+    getVersion(filePath) {
+        const doc = this.docs.get(this.docId(filePath));
+        return doc ? { contentHash: doc.contentHash, indexedAt: doc.indexedAt } : null;
+    }
+
+    getStats() {
+        return {
+            documents: this.docs.size,
+            terms: this.postings.size,
+            directory: this.options.directory
+        };
+    }
+
+    clear() {
+        Array.from(this.docs.values()).forEach(doc => {
+            fs.promises.unlink(this.textPath(doc.id)).catch(() => {});
+        });
+        this.docs.clear();
+        this.postings.clear();
+        this.totalLength = 0;
+        return this.save();
+    }
+
+    // Flush pending writes (on quit). The index is on disk when this returns; the promise
+    // settles once saves already under way have finished with their temp files too.
+    close() {
+        if (this.saveTimer || this.pendingWrites > 0) {
+            this.saveSync();
+        }
+        return this.saving;
+    }
+}
+
+SearchIndex.tokenize = tokenize;
+
+module.exports = SearchIndex;
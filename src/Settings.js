@@ -0,0 +1,140 @@
+// src/Settings.js - Persistent user settings with schema validation and migrations
+const { EventEmitter } = require('events');
+const Store = require('electron-store');
+
+const SUPPORTED_TYPES = ['.pdf', '.docx', '.doc'];
+
+// Nested objects need `default: {}` so their properties' defaults are applied
+const SCHEMA = {
+    api: {
+        type: 'object',
+        default: {},
+        properties: {
+            baseUrl: { type: 'string', format: 'uri', pattern: '^https?://', default: 'http://127.0.0.1:8000' },
+            timeoutSeconds: { type: 'integer', minimum: 10, maximum: 1800, default: 120 },
+            offlineFallback: { type: 'boolean', default: true },
+            // How the token is sent; the token itself is in the OS keychain, not here
+            authType: { type: 'string', enum: ['bearer', 'api-key'], default: 'bearer' }
+        }
+    },
+    processing: {
+        type: 'object',
+        default: {},
+        properties: {
+            maxFileSizeMB: { type: 'integer', minimum: 1, maximum: 4096, default: 500 },
+            maxConcurrentJobs: { type: 'integer', minimum: 1, maximum: 8, default: 2 },
+            supportedExtensions: {
+                type: 'array',
+                items: { type: 'string', enum: SUPPORTED_TYPES },
+                minItems: 1,
+                uniqueItems: true,
+                default: SUPPORTED_TYPES
+            }
+        }
+    },
+    window: {
+        type: 'object',
+        default: {},
+        properties: {
+            autoHideSeconds: { type: 'integer', minimum: 0, maximum: 3600, default: 60 }, // 0 keeps summaries open
+            errorDisplaySeconds: { type: 'integer', minimum: 1, maximum: 120, default: 8 }
+        }
+    },
+    monitor: {
+        type: 'object',
+        default: {},
+        properties: {
+            scanInterval: { type: 'integer', minimum: 250, maximum: 60000, default: 1000 },
+            handleInterval: { type: 'integer', minimum: 500, maximum: 60000, default: 2000 },
+            recentInterval: { type: 'integer', minimum: 500, maximum: 60000, default: 3000 },
+            sessionSettleDelay: { type: 'integer', minimum: 0, maximum: 30000, default: 1500 },
+            resolvePaths: { type: 'boolean', default: true },
+            useHelper: { type: 'boolean', default: true },
+            debugMode: { type: 'boolean', default: true }
+        }
+    }
+};
+
+// Keyed by app version; each runs once when upgrading past that version
+const MIGRATIONS = {
+    // The upload limit used to come from an environment variable
+    '1.0.0': store => {
+        const limit = Number(process.env.INSIGHTMINT_MAX_FILE_SIZE_MB);
+        if (Number.isInteger(limit) && limit >= 1 && limit <= 4096) {
+            store.set('processing.maxFileSizeMB', limit);
+        }
+    }
+};
+
+class Settings extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.store = new Store({
+            name: 'settings',
+            schema: SCHEMA,
+            migrations: MIGRATIONS,
+            watch: true, // Hand edits to settings.json apply like changes from the window
+            ...options
+        });
+
+        this.unsubscribe = this.store.onDidAnyChange((newValue, oldValue) => {
+            this.emit('change', newValue, oldValue || {});
+        });
+    }
+
+    // Without a key: every section, without electron-store's internal bookkeeping
+    get(key) {
+        if (key) {
+            return this.store.get(key);
+        }
+        return Object.keys(SCHEMA).reduce((values, section) => ({ ...values, [section]: this.store.get(section) }), {});
+    }
+
+    // Merges section by section; throws without saving anything if the result fails the schema
+    update(values) {
+        const current = this.store.store;
+        const next = {};
+
+        Object.keys(values).forEach(section => {
+            if (!SCHEMA[section]) {
+                throw new Error(`Unknown settings section: ${section}`);
+            }
+            next[section] = { ...current[section], ...values[section] };
+        });
+
+        this.store.set(next);
+        return this.get();
+    }
+
+    reset() {
+        this.store.clear();
+        return this.get();
+    }
+
+    getDefaults() {
+        return Object.keys(SCHEMA).reduce((defaults, section) => {
+            defaults[section] = Object.keys(SCHEMA[section].properties).reduce((values, name) => {
+                values[name] = SCHEMA[section].properties[name].default;
+                return values;
+            }, {});
+            return defaults;
+        }, {});
+    }
+
+    get path() {
+        return this.store.path;
+    }
+
+    dispose() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+}
+
+Settings.SCHEMA = SCHEMA;
+Settings.SUPPORTED_TYPES = SUPPORTED_TYPES;
+
+module.exports = Settings;
@@ -0,0 +1,154 @@
+// src/SummaryCache.js - Summaries on disk, keyed by file content and summarization options
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class SummaryCache {
+    constructor(options = {}) {
+        this.options = {
+            directory: null, // One JSON file per entry
+            maxEntries: 500,
+            maxBytes: 50 * 1024 * 1024, // 50MB of cached summaries
+            maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+            ...options
+        };
+
+        if (!this.options.directory) {
+            throw new Error('SummaryCache needs a directory');
+        }
+
+        fs.mkdirSync(this.options.directory, { recursive: true });
+    }
+
+    // SHA-256 of the file content, streamed so large files are never fully in memory
+    static hashFile(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            const stream = fs.createReadStream(filePath);
+            stream.on('error', reject);
+            stream.on('data', chunk => hash.update(chunk));
+            stream.on('end', () => resolve(hash.digest('hex')));
+        });
+    }
+
+    // Different summarization options must never share an entry
+    static createKey(contentHash, summaryOptions = {}) {
+        const sortedOptions = Object.keys(summaryOptions).sort()
+            .reduce((sorted, name) => ({ ...sorted, [name]: summaryOptions[name] }), {});
+
+        return crypto.createHash('sha256')
+            .update(contentHash)
+            .update(JSON.stringify(sortedOptions))
+            .digest('hex');
+    }
+
+    entryPath(key) {
+        return path.join(this.options.directory, `${key}.json`);
+    }
+
+    async get(key) {
+        const entryPath = this.entryPath(key);
+
+        let entry;
+        try {
+            entry = JSON.parse(await fs.promises.readFile(entryPath, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        if (Date.now() - entry.createdAt > this.options.maxAge) {
+            await this.delete(key);
+            return null;
+        }
+
+        // Touch the file so eviction sees it as recently used
+        const now = new Date();
+        fs.promises.utimes(entryPath, now, now).catch(() => {});
+
+        return entry;
+    }
+
+    async set(key, data) {
+        const entry = {
+            key,
+            createdAt: Date.now(),
+            ...data
+        };
+
+        await fs.promises.writeFile(this.entryPath(key), JSON.stringify(entry));
+        await this.evict();
+        return entry;
+    }
+
+    async delete(key) {
+        try {
+            await fs.promises.unlink(this.entryPath(key));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async listEntries() {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.options.directory);
+        } catch (error) {
+            return [];
+        }
+
+        const entries = [];
+        for (const name of names.filter(name => name.endsWith('.json'))) {
+            try {
+                const stats = await fs.promises.stat(path.join(this.options.directory, name));
+                entries.push({ key: name.slice(0, -5), size: stats.size, lastUsed: stats.mtimeMs });
+            } catch (error) {
+                // Removed while listing
+            }
+        }
+        return entries;
+    }
+
+    // Drops expired entries, then the least recently used until under the limits
+    async evict() {
+        const now = Date.now();
+        const entries = await this.listEntries();
+        let removed = 0;
+
+        const expired = entries.filter(entry => now - entry.lastUsed > this.options.maxAge);
+        for (const entry of expired) {
+            if (await this.delete(entry.key)) removed++;
+        }
+
+        const remaining = entries
+            .filter(entry => !expired.includes(entry))
+            .sort((a, b) => a.lastUsed - b.lastUsed);
+        let totalBytes = remaining.reduce((total, entry) => total + entry.size, 0);
+
+        while (remaining.length > 0 &&
+               (remaining.length > this.options.maxEntries || totalBytes > this.options.maxBytes)) {
+            const entry = remaining.shift();
+            totalBytes -= entry.size;
+            if (await this.delete(entry.key)) removed++;
+        }
+
+        return removed;
+    }
+
+    async clear() {
+        const entries = await this.listEntries();
+        await Promise.all(entries.map(entry => this.delete(entry.key)));
+        return entries.length;
+    }
+
+    async getStats() {
+        const entries = await this.listEntries();
+        return {
+            entries: entries.length,
+            bytes: entries.reduce((total, entry) => total + entry.size, 0),
+            directory: this.options.directory
+        };
+    }
+}
+
+module.exports = SummaryCache;
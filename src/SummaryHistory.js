@@ -0,0 +1,140 @@
+// src/SummaryHistory.js - Every summary shown, kept on disk for the History window
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class SummaryHistory extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            file: null, // JSON array, newest entry first
+            maxEntries: 2000,
+            ...options
+        };
+
+        if (!this.options.file) {
+            throw new Error('SummaryHistory needs a file');
+        }
+
+        this.entries = this.load();
+    }
+
+    load() {
+        try {
+            const entries = JSON.parse(fs.readFileSync(this.options.file, 'utf8'));
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Could not read summary history:', error.message);
+            }
+            return [];
+        }
+    }
+
+    // Written to a temporary file first so a crash never leaves half a history
+    save() {
+        const tempFile = `${this.options.file}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.options.file), { recursive: true });
+            fs.writeFileSync(tempFile, JSON.stringify(this.entries));
+            fs.renameSync(tempFile, this.options.file);
+        } catch (error) {
+            console.error('❌ Could not save summary history:', error.message);
+        }
+    }
+
+    add(data) {
+        const entry = {
+            id: crypto.randomUUID(),
+            timestamp: Date.now(),
+            filePath: data.filePath,
+            fileName: path.basename(data.filePath),
+            fileType: path.extname(data.filePath).toLowerCase(),
+            fileSize: data.fileSize || null,
+            contentHash: data.contentHash || null,
+            readerApplication: data.readerApplication || null,
+            source: data.source || null,
+            isLocal: Boolean(data.isLocal),
+            summary: data.summary
+        };
+
+        this.entries.unshift(entry);
+        if (this.entries.length > this.options.maxEntries) {
+            this.entries.length = this.options.maxEntries;
+        }
+
+        this.save();
+        this.emit('changed');
+        return entry;
+    }
+
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    // Newest entry for a document; matches(a, b) compares paths
+    findByPath(filePath, matches = (a, b) => a === b) {
+        return this.entries.find(entry => matches(entry.filePath, filePath)) || null;
+    }
+
+    // filters: { query, from, to (timestamps), reader, type, limit }
+    list(filters = {}) {
+        const words = String(filters.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+        const matches = this.entries.filter(entry => {
+            if (filters.from && entry.timestamp < filters.from) return false;
+            if (filters.to && entry.timestamp > filters.to) return false;
+            if (filters.reader && entry.readerApplication !== filters.reader) return false;
+            if (filters.type && entry.fileType !== filters.type) return false;
+
+            if (words.length > 0) {
+                const haystack = `${entry.fileName}\n${entry.filePath}\n${entry.summary}`.toLowerCase();
+                return words.every(word => haystack.includes(word));
+            }
+            return true;
+        });
+
+        return filters.limit ? matches.slice(0, filters.limit) : matches;
+    }
+
+    // Values present in the history, for the filter menus
+    getFacets() {
+        const readers = new Set();
+        const types = new Set();
+
+        this.entries.forEach(entry => {
+            if (entry.readerApplication) readers.add(entry.readerApplication);
+            types.add(entry.fileType);
+        });
+
+        return {
+            readers: Array.from(readers).sort(),
+            types: Array.from(types).sort()
+        };
+    }
+
+    delete(ids) {
+        const remove = new Set(Array.isArray(ids) ? ids : [ids]);
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => !remove.has(entry.id));
+
+        const removed = before - this.entries.length;
+        if (removed > 0) {
+            this.save();
+            this.emit('changed');
+        }
+        return removed;
+    }
+
+    clear() {
+        const removed = this.entries.length;
+        this.entries = [];
+        this.save();
+        this.emit('changed');
+        return removed;
+    }
+}
+
+module.exports = SummaryHistory;
@@ -0,0 +1,131 @@
+// src/commandRunner.js - Argument-safe external command execution
+const { spawn } = require('child_process');
+
+const DEFAULTS = {
+    timeout: 10000, // 10 seconds
+    maxOutput: 1024 * 1024, // 1MB per stream
+    env: null,
+    input: null
+};
+
+// Runs an executable without a shell; args are passed to the OS as-is
+function runCommand(file, args = [], options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+
+    return new Promise((resolve, reject) => {
+        let child;
+        try {
+            child = spawn(file, args, {
+                shell: false,
+                windowsHide: true,
+                env: settings.env || process.env,
+                stdio: ['pipe', 'pipe', 'pipe']
+            });
+        } catch (error) {
+            reject(error);
+            return;
+        }
+
+        const stdout = [];
+        const stderr = [];
+        let outputSize = 0;
+        let settled = false;
+        let timer = null;
+
+        const finish = (error, result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            if (error) {
+                reject(error);
+            } else {
+                resolve(result);
+            }
+        };
+
+        const fail = (message, code) => {
+            const error = new Error(message);
+            error.code = code;
+            child.kill();
+            finish(error);
+        };
+
+        timer = setTimeout(() => {
+            fail(`${file} timed out after ${settings.timeout}ms`, 'ETIMEDOUT');
+        }, settings.timeout);
+
+        const collect = (chunks) => (chunk) => {
+            outputSize += chunk.length;
+            if (outputSize > settings.maxOutput) {
+                fail(`${file} produced more than ${settings.maxOutput} bytes of output`, 'EMAXOUTPUT');
+                return;
+            }
+            chunks.push(chunk);
+        };
+
+        child.stdout.on('data', collect(stdout));
+        child.stderr.on('data', collect(stderr));
+
+        child.on('error', (error) => finish(error));
+
+        child.on('close', (code, signal) => {
+            const result = {
+                code,
+                signal,
+                stdout: Buffer.concat(stdout).toString('utf8'),
+                stderr: Buffer.concat(stderr).toString('utf8')
+            };
+
+            if (code !== 0) {
+                const error = new Error(`${file} exited with code ${code}${result.stderr ? `: ${result.stderr.trim()}` : ''}`);
+                error.code = 'EEXITCODE';
+                error.result = result;
+                finish(error);
+                return;
+            }
+
+            finish(null, result);
+        });
+
+        child.stdin.on('error', () => {
+            // The process may exit before reading its input
+        });
+        if (settings.input !== null) {
+            child.stdin.write(settings.input);
+        }
+        child.stdin.end();
+    });
+}
+
+// Environment variable a PowerShell script reads a parameter from: $env:INSIGHTMINT_PARAM_<NAME>
+function paramVariable(name) {
+    return `INSIGHTMINT_PARAM_${name.replace(/[^A-Za-z0-9]/g, '_').toUpperCase()}`;
+}
+
+// Runs a static PowerShell script. Values never become part of the script source:
+// they are handed over as environment variables and read with $env:INSIGHTMINT_PARAM_<NAME>.
+function runPowerShell(script, params = {}, options = {}) {
+    const env = { ...process.env };
+    Object.entries(params).forEach(([name, value]) => {
+        env[paramVariable(name)] = String(value);
+    });
+
+    return runCommand(options.executable || 'powershell.exe', powerShellArgs(script), { ...options, env });
+}
+
+// -EncodedCommand takes base64 UTF-16LE, so the script needs no quoting at all
+function powerShellArgs(script) {
+    return [
+        '-NoProfile',
+        '-NonInteractive',
+        '-ExecutionPolicy', 'Bypass',
+        '-EncodedCommand', Buffer.from(script, 'utf16le').toString('base64')
+    ];
+}
+
+module.exports = {
+    runCommand,
+    runPowerShell,
+    powerShellArgs,
+    paramVariable
+};
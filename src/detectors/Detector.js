@@ -0,0 +1,105 @@
+// src/detectors/Detector.js - Base class for FileAccessMonitor detector plugins
+class Detector {
+    constructor(name, options = {}, defaults = {}) {
+        this.name = name;
+        this.platforms = null; // null means every platform
+
+        this.options = {
+            enabled: true,
+            interval: 0, // 0 disables polling
+            ...defaults,
+            ...options
+        };
+
+        this.monitor = null;
+        this.timer = null;
+        this.isRunning = false;
+        this.isPolling = false;
+    }
+
+    isSupported(platform = process.platform) {
+        return !this.platforms || this.platforms.includes(platform);
+    }
+
+    // Called by FileAccessMonitor.registerDetector
+    attach(monitor) {
+        this.monitor = monitor;
+    }
+
+    start() {
+        if (this.isRunning) {
+            return;
+        }
+
+        this.isRunning = true;
+        this.onStart();
+
+        if (this.options.interval > 0) {
+            this.timer = setInterval(() => this.runPoll(), this.options.interval);
+        }
+
+        this.log('Started');
+    }
+
+    stop() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.isRunning = false;
+
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        this.onStop();
+        this.log('Stopped');
+    }
+
+    async runPoll() {
+        // Skip the tick if the previous poll is still running
+        if (!this.isRunning || this.isPolling) {
+            return;
+        }
+
+        this.isPolling = true;
+        try {
+            await this.poll();
+        } catch (error) {
+            this.monitor.error(`${this.name} poll failed`, error);
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    // Hooks for subclasses
+    onStart() {}
+
+    onStop() {}
+
+    async poll() {}
+
+    report(fileInfo) {
+        this.monitor.reportFileOpened(fileInfo);
+    }
+
+    log(message) {
+        if (this.monitor) {
+            this.monitor.log(`[${this.name}] ${message}`);
+        }
+    }
+
+    describe() {
+        return {
+            name: this.name,
+            platforms: this.platforms,
+            enabled: this.options.enabled,
+            supported: this.isSupported(),
+            running: this.isRunning,
+            interval: this.options.interval
+        };
+    }
+}
+
+module.exports = Detector;
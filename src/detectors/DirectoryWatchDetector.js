@@ -0,0 +1,127 @@
+// src/detectors/DirectoryWatchDetector.js - Configurable recursive folder watching (chokidar)
+const fs = require('fs');
+const path = require('path');
+const chokidar = require('chokidar');
+const Detector = require('./Detector');
+const { loadWatchRoots, relativePath } = require('./watchRoots');
+
+class DirectoryWatchDetector extends Detector {
+    constructor(options = {}) {
+        super('fs-watch', options, {
+            roots: null, // [{ path, recursive, depth, include, exclude, events, downloads }]
+            configFile: null, // User-editable JSON, reloaded when it changes
+            settleDelay: 500
+        });
+
+        this.watchers = new Map();
+        this.configWatcher = null;
+        this.roots = [];
+    }
+
+    // ─── Configuration ──────────────────────────────────────────────
+    loadConfig() {
+        return loadWatchRoots(this.options, (error) => {
+            this.monitor.error(`Invalid watch configuration in ${this.options.configFile}`, error);
+        });
+    }
+
+    // ─── Watchers ───────────────────────────────────────────────────
+    onStart() {
+        this.startWatchers();
+
+        if (this.options.configFile && fs.existsSync(this.options.configFile)) {
+            this.configWatcher = chokidar.watch(this.options.configFile, { ignoreInitial: true });
+            this.configWatcher.on('change', () => {
+                this.log('Watch configuration changed, reloading');
+                this.stopWatchers();
+                this.startWatchers();
+            });
+        }
+    }
+
+    onStop() {
+        this.stopWatchers();
+
+        if (this.configWatcher) {
+            this.configWatcher.close();
+            this.configWatcher = null;
+        }
+    }
+
+    startWatchers() {
+        this.roots = this.loadConfig();
+
+        this.roots.filter(root => root.events.length > 0 && fs.existsSync(root.path)).forEach(root => {
+            try {
+                this.log(`Setting up watcher for: ${root.path} (depth ${root.depth}, events: ${root.events.join(', ')})`);
+
+                const watcher = chokidar.watch(root.path, {
+                    ignoreInitial: true,
+                    depth: root.depth,
+                    ignored: (filePath) => root.isExcluded(this.relativePath(root, filePath))
+                });
+
+                root.events.forEach(eventType => {
+                    watcher.on(eventType, (filePath) => this.handleFileSystemEvent(root, filePath, eventType));
+                });
+
+                watcher.on('error', (error) => {
+                    this.monitor.error(`Watcher error for ${root.path}`, error);
+                });
+
+                this.watchers.set(root.path, watcher);
+                console.log(`👀 Watching: ${root.path}`);
+
+            } catch (error) {
+                this.monitor.error(`Error setting up watcher for ${root.path}`, error);
+            }
+        });
+    }
+
+    stopWatchers() {
+        this.watchers.forEach((watcher, dir) => {
+            watcher.close().catch(error => {
+                this.monitor.error(`Error closing watcher for ${dir}`, error);
+            });
+            this.log(`Closed watcher for: ${dir}`);
+        });
+        this.watchers.clear();
+    }
+
+    relativePath(root, filePath) {
+        return relativePath(root, filePath);
+    }
+
+    handleFileSystemEvent(root, filePath, eventType) {
+        const ext = path.extname(filePath).toLowerCase();
+        const relative = this.relativePath(root, filePath);
+
+        if (!this.monitor.options.targetExtensions.includes(ext) || !root.isIncluded(relative)) {
+            return;
+        }
+
+        const fileName = path.basename(filePath);
+        this.log(`File system event (${eventType}): ${relative}`);
+
+        // Delay to ensure file operation is complete
+        setTimeout(() => {
+            if (this.isRunning) {
+                this.monitor.checkFileAccess(filePath, fileName);
+            }
+        }, this.options.settleDelay);
+    }
+
+    getWatchedDirectories() {
+        const roots = this.isRunning ? this.roots : this.loadConfig();
+        return roots.map(root => root.path).filter(dir => fs.existsSync(dir));
+    }
+
+    describe() {
+        return {
+            ...super.describe(),
+            watcherCount: this.watchers.size
+        };
+    }
+}
+
+module.exports = DirectoryWatchDetector;
@@ -0,0 +1,237 @@
+// src/detectors/DownloadDetector.js - Finished browser downloads in opted-in watched folders
+const fs = require('fs');
+const path = require('path');
+const chokidar = require('chokidar');
+const Detector = require('./Detector');
+const { loadWatchRoots, relativePath } = require('./watchRoots');
+
+class DownloadDetector extends Detector {
+    constructor(options = {}) {
+        super('downloads', options, {
+            roots: null, // Same format as fs-watch; only roots with "downloads": true are used
+            configFile: null, // Shared with fs-watch (watch-folders.json)
+            tempExtensions: ['.crdownload', '.part', '.partial', '.download', '.opdownload', '.tmp'],
+            renameWindow: 5000, // Temp file removed this recently means the download just finished
+            stableInterval: 1000, // Size checks while the browser flushes the file
+            stableChecks: 2, // Unchanged checks in a row before the file counts as complete
+            maxWait: 120000
+        });
+
+        this.watchers = new Map();
+        this.configWatcher = null;
+        this.roots = [];
+        this.finishedTemps = new Map(); // directory -> [{ name, finalName, removedAt }]
+        this.pending = new Map(); // final path -> timer
+    }
+
+    // ─── Watchers ───────────────────────────────────────────────────
+    onStart() {
+        this.startWatchers();
+
+        if (this.options.configFile && fs.existsSync(this.options.configFile)) {
+            this.configWatcher = chokidar.watch(this.options.configFile, { ignoreInitial: true });
+            this.configWatcher.on('change', () => {
+                this.log('Watch configuration changed, reloading');
+                this.stopWatchers();
+                this.startWatchers();
+            });
+        }
+    }
+
+    onStop() {
+        this.stopWatchers();
+
+        if (this.configWatcher) {
+            this.configWatcher.close();
+            this.configWatcher = null;
+        }
+    }
+
+    startWatchers() {
+        this.roots = loadWatchRoots(this.options, (error) => {
+            this.monitor.error(`Invalid watch configuration in ${this.options.configFile}`, error);
+        }).filter(root => root.downloads);
+
+        this.roots.filter(root => fs.existsSync(root.path)).forEach(root => {
+            try {
+                const watcher = chokidar.watch(root.path, {
+                    ignoreInitial: true,
+                    depth: root.depth,
+                    ignored: (filePath) => root.isExcluded(relativePath(root, filePath))
+                });
+
+                watcher.on('unlink', (filePath) => this.handleTempRemoved(filePath));
+                watcher.on('add', (filePath) => this.handleCandidate(root, filePath));
+                // Firefox renames the .part file over an empty placeholder
+                watcher.on('change', (filePath) => this.handleCandidate(root, filePath));
+
+                watcher.on('error', (error) => {
+                    this.monitor.error(`Download watcher error for ${root.path}`, error);
+                });
+
+                this.watchers.set(root.path, watcher);
+                console.log(`📥 Watching downloads: ${root.path}`);
+
+            } catch (error) {
+                this.monitor.error(`Error setting up download watcher for ${root.path}`, error);
+            }
+        });
+    }
+
+    stopWatchers() {
+        this.watchers.forEach((watcher, dir) => {
+            watcher.close().catch(error => {
+                this.monitor.error(`Error closing download watcher for ${dir}`, error);
+            });
+        });
+        this.watchers.clear();
+
+        this.pending.forEach(timer => clearTimeout(timer));
+        this.pending.clear();
+        this.finishedTemps.clear();
+    }
+
+    // ─── Download completion ─────────────────────────────────────────
+    isTempFile(filePath) {
+        return this.options.tempExtensions.includes(path.extname(filePath).toLowerCase());
+    }
+
+    handleTempRemoved(filePath) {
+        if (!this.isTempFile(filePath)) {
+            return;
+        }
+
+        const dir = path.dirname(filePath);
+        const name = path.basename(filePath);
+        const now = Date.now();
+
+        const temps = (this.finishedTemps.get(dir) || [])
+            .filter(temp => now - temp.removedAt < this.options.renameWindow);
+        temps.push({
+            name,
+            finalName: name.slice(0, -path.extname(name).length), // "report.pdf.crdownload" -> "report.pdf"
+            removedAt: now
+        });
+        this.finishedTemps.set(dir, temps);
+    }
+
+    // Matches a new final file to the temp file it was renamed from
+    takeFinishedTemp(filePath) {
+        const dir = path.dirname(filePath);
+        const name = path.basename(filePath).toLowerCase();
+        const now = Date.now();
+
+        const temps = (this.finishedTemps.get(dir) || [])
+            .filter(temp => now - temp.removedAt < this.options.renameWindow);
+
+        // Same name without the temp extension, or a single unnamed temp ("Unconfirmed 123.crdownload")
+        let index = temps.findIndex(temp => temp.finalName.toLowerCase() === name);
+        if (index === -1 && temps.length === 1 && path.extname(temps[0].finalName) === '') {
+            index = 0;
+        }
+
+        if (index === -1) {
+            this.finishedTemps.set(dir, temps);
+            return null;
+        }
+
+        const [temp] = temps.splice(index, 1);
+        this.finishedTemps.set(dir, temps);
+        return temp;
+    }
+
+    handleCandidate(root, filePath, retried = false) {
+        const ext = path.extname(filePath).toLowerCase();
+        if (!this.monitor.options.targetExtensions.includes(ext) || !root.isIncluded(relativePath(root, filePath))) {
+            return;
+        }
+
+        if (this.pending.has(filePath)) {
+            return;
+        }
+
+        const temp = this.takeFinishedTemp(filePath);
+        if (!temp) {
+            // The temp file's unlink event can arrive just after the final file's event
+            if (!retried) {
+                setTimeout(() => {
+                    if (this.isRunning) {
+                        this.handleCandidate(root, filePath, true);
+                    }
+                }, 500);
+            }
+            return;
+        }
+
+        this.log(`Download finished: ${temp.name} -> ${path.basename(filePath)}`);
+        this.waitUntilStable(filePath);
+    }
+
+    waitUntilStable(filePath) {
+        const startedAt = Date.now();
+        let lastSize = -1;
+        let stableCount = 0;
+
+        const check = () => {
+            this.pending.delete(filePath);
+            if (!this.isRunning) {
+                return;
+            }
+
+            let size;
+            try {
+                size = fs.statSync(filePath).size;
+            } catch (error) {
+                this.log(`Download disappeared: ${filePath}`);
+                return;
+            }
+
+            stableCount = size > 0 && size === lastSize ? stableCount + 1 : 0;
+            lastSize = size;
+
+            if (stableCount >= this.options.stableChecks) {
+                this.reportDownload(filePath, size);
+                return;
+            }
+
+            if (Date.now() - startedAt > this.options.maxWait) {
+                this.log(`Download never settled: ${filePath}`);
+                return;
+            }
+
+            this.pending.set(filePath, setTimeout(check, this.options.stableInterval));
+        };
+
+        this.pending.set(filePath, setTimeout(check, this.options.stableInterval));
+    }
+
+    reportDownload(filePath, size) {
+        console.log(`📥 Download complete: ${path.basename(filePath)} (${(size / 1024).toFixed(1)}KB)`);
+
+        this.report({
+            fileName: path.basename(filePath),
+            fullPath: filePath,
+            extension: path.extname(filePath).toLowerCase(),
+            readerApplication: 'Web Browser',
+            processName: 'Download',
+            processId: 'Download',
+            windowTitle: 'N/A',
+            timestamp: new Date().toISOString(),
+            source: 'Download'
+        });
+    }
+
+    getWatchedDirectories() {
+        return this.roots.map(root => root.path).filter(dir => fs.existsSync(dir));
+    }
+
+    describe() {
+        return {
+            ...super.describe(),
+            watcherCount: this.watchers.size,
+            pendingDownloads: this.pending.size
+        };
+    }
+}
+
+module.exports = DownloadDetector;
@@ -0,0 +1,146 @@
+// src/detectors/LinuxProcDetector.js - Linux reader detection via /proc cmdline and fd scans
+const path = require('path');
+const Detector = require('./Detector');
+const LinuxProcScanner = require('../LinuxProcScanner');
+
+class LinuxProcDetector extends Detector {
+    constructor(options = {}) {
+        super('linux-proc', options, {
+            interval: 1000,
+            handleInterval: 2000, // fd scans are heavier, run them less often
+            procRoot: '/proc'
+        });
+        this.platforms = ['linux'];
+
+        this.scanner = null;
+        this.readersVersion = null;
+        this.lastHandleScan = 0;
+        this.openHandles = new Map(); // "pid:path" -> { pid, path } found by the last fd scan
+    }
+
+    onStop() {
+        this.openHandles.clear();
+    }
+
+    isSupported(platform = process.platform) {
+        return super.isSupported(platform) && LinuxProcScanner.isSupported(this.options.procRoot);
+    }
+
+    getScanner() {
+        const readers = this.monitor.readers;
+
+        if (!this.scanner) {
+            this.scanner = new LinuxProcScanner({
+                procRoot: this.options.procRoot,
+                targetExtensions: this.monitor.options.targetExtensions
+            });
+        }
+
+        // Pick up edits to the reader registry
+        if (this.readersVersion !== readers.version) {
+            this.readersVersion = readers.version;
+            this.scanner.setProcessNames(readers.getProcessNames());
+        }
+
+        return this.scanner;
+    }
+
+    async poll() {
+        const now = Date.now();
+        const includeFileHandles = now - this.lastHandleScan >= this.options.handleInterval;
+        if (includeFileHandles) {
+            this.lastHandleScan = now;
+        }
+
+        const processes = await this.getScanner().scan({ includeFileHandles });
+        processes.forEach(proc => {
+            proc.documents.forEach(doc => {
+                this.reportDocument(proc, doc.path, doc.via === 'fd' ? 'File Handle Monitor' : 'Process Analysis');
+            });
+        });
+
+        if (includeFileHandles) {
+            this.checkClosedHandles(processes);
+        }
+    }
+
+    // Documents held through a file descriptor in the previous fd scan but not in this one are closed,
+    // unless another reader still has them
+    checkClosedHandles(processes) {
+        const handles = new Map();
+        processes.forEach(proc => {
+            proc.documents
+                .filter(doc => doc.via === 'fd')
+                .forEach(doc => handles.set(`${proc.pid}:${doc.path}`, { pid: proc.pid, path: doc.path }));
+        });
+
+        const stillOpen = new Set(processes.flatMap(proc => proc.documents.map(doc => doc.path)));
+        const livePids = new Set(processes.map(proc => proc.pid));
+
+        this.openHandles.forEach((handle, key) => {
+            if (handles.has(key)) return;
+
+            // Reported again if the reader opens it later
+            this.monitor.processMap.delete(`proc-${handle.pid}-${handle.path}`);
+            if (stillOpen.has(handle.path)) return;
+
+            this.monitor.reportFileClosed({
+                fileName: path.basename(handle.path),
+                fullPath: handle.path
+            }, livePids.has(handle.pid) ? 'handle-closed' : 'process-exited');
+        });
+
+        this.openHandles = handles;
+    }
+
+    // Called by the monitor when a watched file changes on disk
+    async checkFileAccess(filePath, fileName) {
+        const processes = await this.getScanner().scan();
+        processes
+            .filter(proc => proc.documents.some(doc => doc.path === filePath))
+            .forEach(proc => {
+                this.report({
+                    fileName: fileName,
+                    fullPath: filePath,
+                    extension: path.extname(fileName),
+                    readerApplication: this.getReaderName(proc),
+                    processName: proc.name,
+                    processId: proc.pid,
+                    windowTitle: 'N/A',
+                    timestamp: new Date().toISOString(),
+                    source: 'File System Monitor'
+                });
+            });
+    }
+
+    reportDocument(proc, filePath, source) {
+        const key = `proc-${proc.pid}-${filePath}`;
+        if (this.monitor.processMap.has(key)) {
+            return;
+        }
+        this.monitor.processMap.set(key, Date.now());
+
+        this.report({
+            fileName: path.basename(filePath),
+            fullPath: filePath,
+            extension: path.extname(filePath).toLowerCase(),
+            readerApplication: this.getReaderName(proc),
+            processName: proc.name,
+            processId: proc.pid,
+            windowTitle: 'N/A',
+            timestamp: new Date().toISOString(),
+            source: source
+        });
+    }
+
+    getReaderName(proc) {
+        const byName = this.monitor.getReaderName(proc.name);
+        return byName !== proc.name ? byName : this.monitor.getReaderName(proc.executable);
+    }
+
+    async listCurrentlyOpen() {
+        return this.getScanner().scan();
+    }
+}
+
+module.exports = LinuxProcDetector;
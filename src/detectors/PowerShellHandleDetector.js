@@ -0,0 +1,24 @@
+// src/detectors/PowerShellHandleDetector.js - Windows reader processes with documents on the command line
+const Detector = require('./Detector');
+
+class PowerShellHandleDetector extends Detector {
+    constructor(options = {}) {
+        super('powershell-handles', options, { interval: 2000 });
+        this.platforms = ['win32'];
+    }
+
+    async poll() {
+        const result = await this.monitor.runScript('handle-monitor');
+        const processes = Array.isArray(result) ? result : (result ? [result] : []);
+
+        processes.forEach(proc => {
+            const key = `handle-${proc.ProcessId}`;
+            if (!this.monitor.processMap.has(key)) {
+                this.monitor.processMap.set(key, Date.now());
+                this.monitor.analyzeProcess(proc);
+            }
+        });
+    }
+}
+
+module.exports = PowerShellHandleDetector;
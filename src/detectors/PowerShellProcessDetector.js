@@ -0,0 +1,79 @@
+// src/detectors/PowerShellProcessDetector.js - Windows process scan (command line and window title)
+const path = require('path');
+const Detector = require('./Detector');
+
+class PowerShellProcessDetector extends Detector {
+    constructor(options = {}) {
+        super('powershell-process', options, { interval: 1000 });
+        this.platforms = ['win32'];
+
+        this.windowTitles = new Map();
+    }
+
+    onStop() {
+        this.windowTitles.clear();
+    }
+
+    async poll() {
+        const result = await this.monitor.runScript('process-scan');
+        const processes = Array.isArray(result) ? result : (result ? [result] : []);
+        if (processes.length === 0) {
+            return;
+        }
+
+        this.log(`Found ${processes.length} relevant processes`);
+
+        processes.forEach(process => {
+            const key = `${process.Id}-${process.Name}`;
+            const titleChanged = this.windowTitles.get(process.Id) !== process.Title;
+            this.windowTitles.set(process.Id, process.Title);
+
+            if (!this.monitor.processMap.has(key)) {
+                this.monitor.processMap.set(key, Date.now());
+                this.monitor.analyzeProcess(process);
+            } else if (titleChanged) {
+                // The reader switched documents (tab or window change)
+                this.monitor.analyzeProcess({ ...process, CommandLine: null });
+            }
+
+            if (titleChanged) {
+                this.monitor.observeWindowTitle(process.Id, process.Title, process.Name);
+            }
+        });
+
+        // Forget titles of processes that went away
+        const liveIds = new Set(processes.map(process => process.Id));
+        Array.from(this.windowTitles.keys())
+            .filter(id => !liveIds.has(id))
+            .forEach(id => this.windowTitles.delete(id));
+    }
+
+    // Called by the monitor when a watched file changes on disk
+    async checkFileAccess(filePath, fileName) {
+        const result = await this.monitor.runScript('file-access', { fileName, filePath });
+        const processes = Array.isArray(result) ? result : (result ? [result] : []);
+
+        if (processes.length > 0) {
+            // Only credit readers whose window shows the file; otherwise the first reader found
+            const lowerName = fileName.toLowerCase();
+            const titled = processes.filter(proc => proc.Title && proc.Title.toLowerCase().includes(lowerName));
+            const readers = titled.length > 0 ? titled : processes.slice(0, 1);
+
+            readers.forEach(proc => {
+                this.report({
+                    fileName: fileName,
+                    fullPath: filePath,
+                    extension: path.extname(fileName),
+                    readerApplication: this.monitor.getReaderName(proc.Name),
+                    processName: proc.Name,
+                    processId: proc.Id,
+                    windowTitle: proc.Title,
+                    timestamp: new Date().toISOString(),
+                    source: 'File System Monitor'
+                });
+            });
+        }
+    }
+}
+
+module.exports = PowerShellProcessDetector;
@@ -0,0 +1,72 @@
+// src/detectors/RecentFolderDetector.js - Windows Recent folder (.lnk shortcut) monitoring
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const Detector = require('./Detector');
+
+class RecentFolderDetector extends Detector {
+    constructor(options = {}) {
+        super('recent-folder', options, {
+            interval: 3000,
+            recentFolder: path.join(os.homedir(), 'AppData\\Roaming\\Microsoft\\Windows\\Recent'),
+            recentWindow: 10000 // Shortcuts touched in the last 10 seconds
+        });
+        this.platforms = ['win32'];
+    }
+
+    async poll() {
+        const recentFolder = this.options.recentFolder;
+
+        try {
+            if (!fs.existsSync(recentFolder)) {
+                return;
+            }
+
+            const files = fs.readdirSync(recentFolder);
+            const now = Date.now();
+
+            files.forEach(file => {
+                if (file.endsWith('.lnk')) {
+                    const filePath = path.join(recentFolder, file);
+
+                    try {
+                        const stats = fs.statSync(filePath);
+
+                        if (now - stats.mtime.getTime() < this.options.recentWindow) {
+                            this.log(`Recent file detected: ${file}`);
+                            this.analyzeRecentFile(filePath).catch(error => {
+                                this.log(`recent-file error: ${error.message}`);
+                            });
+                        }
+                    } catch (error) {
+                        // Ignore individual file errors
+                    }
+                }
+            });
+        } catch (error) {
+            this.log(`Recent files monitor error: ${error.message}`);
+        }
+    }
+
+    async analyzeRecentFile(linkPath) {
+        const result = await this.monitor.runScript('recent-file', { linkPath });
+        if (result && result.TargetPath) {
+            const ext = path.extname(result.TargetPath).toLowerCase();
+
+            if (this.monitor.options.targetExtensions.includes(ext)) {
+                this.report({
+                    fileName: path.basename(result.TargetPath),
+                    fullPath: result.TargetPath,
+                    extension: ext,
+                    readerApplication: 'Recently Accessed',
+                    processName: 'System',
+                    processId: 'Recent',
+                    timestamp: new Date().toISOString(),
+                    source: 'Recent Files Monitor'
+                });
+            }
+        }
+    }
+}
+
+module.exports = RecentFolderDetector;
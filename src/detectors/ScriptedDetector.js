@@ -0,0 +1,118 @@
+// src/detectors/ScriptedDetector.js - Fake detector that plays back a scripted list of events
+const fs = require('fs');
+const path = require('path');
+const Detector = require('./Detector');
+
+// Script format (JSON array), delays are relative to the previous step:
+// [
+//   { "delay": 2000, "fullPath": "/home/me/Documents/report.pdf", "readerApplication": "Evince" },
+//   { "delay": 500, "event": "fileOpened", "fullPath": "C:\\Users\\me\\contract.docx" },
+//   { "delay": 5000, "event": "fileClosed", "fullPath": "/home/me/Documents/report.pdf" }
+// ]
+// Supported events: fileOpened (default), fileFocused, fileClosed
+class ScriptedDetector extends Detector {
+    constructor(options = {}) {
+        super('scripted', options, {
+            enabled: false,
+            script: null,
+            scriptPath: null,
+            loop: false
+        });
+
+        this.timeouts = [];
+    }
+
+    loadScript() {
+        if (Array.isArray(this.options.script)) {
+            return this.options.script;
+        }
+
+        if (this.options.scriptPath) {
+            const steps = JSON.parse(fs.readFileSync(this.options.scriptPath, 'utf8'));
+            if (!Array.isArray(steps)) {
+                throw new Error(`Detector script must be a JSON array: ${this.options.scriptPath}`);
+            }
+            return steps;
+        }
+
+        return [];
+    }
+
+    onStart() {
+        let steps;
+        try {
+            steps = this.loadScript();
+        } catch (error) {
+            this.monitor.error('Failed to load detector script', error);
+            return;
+        }
+
+        this.log(`Playing back ${steps.length} scripted events`);
+        this.schedule(steps);
+    }
+
+    schedule(steps) {
+        let elapsed = 0;
+
+        steps.forEach((step, index) => {
+            elapsed += step.delay || 0;
+
+            const timeout = setTimeout(() => {
+                if (!this.isRunning) return;
+                this.play(step);
+
+                if (index === steps.length - 1) {
+                    this.timeouts = [];
+                    if (this.options.loop && steps.length > 0) {
+                        this.schedule(steps);
+                    } else {
+                        this.log('Script finished');
+                    }
+                }
+            }, elapsed);
+
+            this.timeouts.push(timeout);
+        });
+    }
+
+    play(step) {
+        // The delay was used when scheduling; it is not part of the detection
+        const { delay: _delay, event = 'fileOpened', ...fields } = step;
+
+        const fullPath = fields.fullPath || 'Unknown (from window title)';
+        const fileName = fields.fileName || path.basename(fullPath);
+
+        if (event === 'fileClosed') {
+            this.monitor.reportFileClosed({ fileName, fullPath }, fields.reason);
+            return;
+        }
+        if (event === 'fileFocused') {
+            this.monitor.reportFileFocused({ fileName, fullPath, windowTitle: fields.windowTitle });
+            return;
+        }
+        if (event !== 'fileOpened') {
+            this.log(`Skipping unsupported scripted event: ${event}`);
+            return;
+        }
+
+        this.report({
+            fileName: fileName,
+            fullPath: fullPath,
+            extension: path.extname(fileName).toLowerCase(),
+            readerApplication: 'Scripted Reader',
+            processName: 'scripted',
+            processId: 'Scripted',
+            windowTitle: 'N/A',
+            timestamp: new Date().toISOString(),
+            source: 'Scripted Detector',
+            ...fields
+        });
+    }
+
+    onStop() {
+        this.timeouts.forEach(timeout => clearTimeout(timeout));
+        this.timeouts = [];
+    }
+}
+
+module.exports = ScriptedDetector;
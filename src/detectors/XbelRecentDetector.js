@@ -0,0 +1,138 @@
+// src/detectors/XbelRecentDetector.js - Freedesktop recently-used.xbel monitoring (GNOME/KDE)
+const path = require('path');
+const chokidar = require('chokidar');
+const Detector = require('./Detector');
+const { getXbelPath, readXbel } = require('../xbel');
+
+class XbelRecentDetector extends Detector {
+    constructor(options = {}) {
+        super('xbel-recent', options, {
+            xbelPath: null, // Defaults to $XDG_DATA_HOME/recently-used.xbel
+            debounce: 300, // Apps rewrite the file several times in a row
+            recentWindow: 60000 // Ignore entries older than a minute when first seen
+        });
+        this.platforms = ['linux', 'freebsd', 'openbsd'];
+
+        this.watcher = null;
+        this.debounceTimer = null;
+        this.seen = new Map(); // path -> last reported timestamp
+        this.baselineReady = false;
+    }
+
+    getXbelPath() {
+        return this.options.xbelPath || getXbelPath();
+    }
+
+    onStart() {
+        const xbelPath = this.getXbelPath();
+        this.log(`Watching ${xbelPath}`);
+
+        // Entries already in the file are history, not new openings
+        this.baselineReady = false;
+        this.scan().catch(error => this.log(`Initial read failed: ${error.message}`));
+
+        this.watcher = chokidar.watch(xbelPath, { ignoreInitial: true });
+        ['add', 'change'].forEach(eventType => {
+            this.watcher.on(eventType, () => this.scheduleScan());
+        });
+        this.watcher.on('error', (error) => {
+            this.monitor.error(`Error watching ${xbelPath}`, error);
+        });
+    }
+
+    onStop() {
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = null;
+        }
+
+        if (this.watcher) {
+            this.watcher.close().catch(error => {
+                this.monitor.error('Error closing recently-used watcher', error);
+            });
+            this.watcher = null;
+        }
+
+        this.seen.clear();
+    }
+
+    scheduleScan() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => {
+            this.debounceTimer = null;
+            if (this.isPolling) {
+                // A read is in flight; look again once it has finished
+                this.scheduleScan();
+                return;
+            }
+            this.runPoll();
+        }, this.options.debounce);
+    }
+
+    // Also used as the poll hook when an interval is configured
+    async poll() {
+        await this.scan();
+    }
+
+    async scan() {
+        const bookmarks = await readXbel(this.getXbelPath());
+        const reportNew = this.baselineReady;
+        const now = Date.now();
+
+        bookmarks.forEach(bookmark => {
+            const ext = path.extname(bookmark.path).toLowerCase();
+            if (!this.monitor.options.targetExtensions.includes(ext)) {
+                return;
+            }
+
+            const application = this.getLatestApplication(bookmark);
+            const timestamp = Math.max(bookmark.modified, bookmark.visited, application ? application.modified : 0);
+            const lastSeen = this.seen.get(bookmark.path);
+            this.seen.set(bookmark.path, timestamp);
+
+            if (!reportNew || (lastSeen !== undefined && timestamp <= lastSeen)) {
+                return;
+            }
+            if (lastSeen === undefined && now - timestamp > this.options.recentWindow) {
+                return;
+            }
+
+            this.log(`Recently used: ${bookmark.path}`);
+            this.report({
+                fileName: path.basename(bookmark.path),
+                fullPath: bookmark.path,
+                extension: ext,
+                readerApplication: application ? application.name : 'Recently Accessed',
+                processName: application ? this.getExecutable(application.exec) : 'System',
+                processId: 'Recent',
+                timestamp: new Date(timestamp || now).toISOString(),
+                source: 'Recent Files Monitor'
+            });
+        });
+
+        this.baselineReady = true;
+    }
+
+    // The application that touched the bookmark last is the one that opened it
+    getLatestApplication(bookmark) {
+        return bookmark.applications.reduce((latest, application) => {
+            return !latest || application.modified > latest.modified ? application : latest;
+        }, null);
+    }
+
+    // exec looks like "'evince %u'" or "okular %u"
+    getExecutable(exec) {
+        const command = exec.replace(/^['"]|['"]$/g, '').trim().split(/\s+/)[0];
+        return command ? path.basename(command) : 'Unknown';
+    }
+
+    describe() {
+        return {
+            ...super.describe(),
+            xbelPath: this.getXbelPath(),
+            trackedEntries: this.seen.size
+        };
+    }
+}
+
+module.exports = XbelRecentDetector;
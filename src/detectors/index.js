@@ -0,0 +1,42 @@
+// src/detectors/index.js - Built-in detector plugins
+const Detector = require('./Detector');
+const PowerShellProcessDetector = require('./PowerShellProcessDetector');
+const PowerShellHandleDetector = require('./PowerShellHandleDetector');
+const LinuxProcDetector = require('./LinuxProcDetector');
+const DirectoryWatchDetector = require('./DirectoryWatchDetector');
+const DownloadDetector = require('./DownloadDetector');
+const RecentFolderDetector = require('./RecentFolderDetector');
+const XbelRecentDetector = require('./XbelRecentDetector');
+const ScriptedDetector = require('./ScriptedDetector');
+
+const BUILTIN_DETECTORS = {
+    'powershell-process': PowerShellProcessDetector,
+    'powershell-handles': PowerShellHandleDetector,
+    'linux-proc': LinuxProcDetector,
+    'fs-watch': DirectoryWatchDetector,
+    'downloads': DownloadDetector,
+    'recent-folder': RecentFolderDetector,
+    'xbel-recent': XbelRecentDetector,
+    'scripted': ScriptedDetector
+};
+
+// detectorOptions maps detector names to their options, e.g. { 'fs-watch': { enabled: false } }
+function createDefaultDetectors(detectorOptions = {}) {
+    return Object.entries(BUILTIN_DETECTORS).map(([name, DetectorClass]) => {
+        return new DetectorClass(detectorOptions[name]);
+    });
+}
+
+module.exports = {
+    Detector,
+    PowerShellProcessDetector,
+    PowerShellHandleDetector,
+    LinuxProcDetector,
+    DirectoryWatchDetector,
+    DownloadDetector,
+    RecentFolderDetector,
+    XbelRecentDetector,
+    ScriptedDetector,
+    BUILTIN_DETECTORS,
+    createDefaultDetectors
+};
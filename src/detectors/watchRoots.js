@@ -0,0 +1,78 @@
+// src/detectors/watchRoots.js - Watched folder configuration shared by the folder detectors
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const picomatch = require('picomatch');
+
+const WATCH_EVENTS = ['add', 'change'];
+
+// Applied to every root that does not override them
+const DEFAULT_ROOT = {
+    recursive: true,
+    depth: 5,
+    include: ['**/*.pdf', '**/*.doc', '**/*.docx'],
+    exclude: ['**/node_modules/**', '**/.git/**', '**/~$*', '**/.~lock.*'],
+    events: ['change'],
+    downloads: false // Offer summaries of finished browser downloads (downloads detector)
+};
+
+function defaultRoots() {
+    return [
+        path.join(os.homedir(), 'Documents'),
+        path.join(os.homedir(), 'Desktop'),
+        path.join(os.homedir(), 'Downloads'),
+        'C:\\Users\\Public\\Documents'
+    ].map(rootPath => ({ path: rootPath }));
+}
+
+// Reads { defaults, roots } from configFile, writing the defaults when it does not exist yet
+function loadWatchRoots({ roots = null, configFile = null } = {}, onError = () => {}) {
+    let config = { roots: roots || defaultRoots() };
+
+    if (configFile) {
+        try {
+            if (fs.existsSync(configFile)) {
+                config = { ...config, ...JSON.parse(fs.readFileSync(configFile, 'utf8')) };
+            } else {
+                // Write the defaults so users have something to edit
+                fs.mkdirSync(path.dirname(configFile), { recursive: true });
+                fs.writeFileSync(configFile, JSON.stringify({ defaults: DEFAULT_ROOT, ...config }, null, 2));
+            }
+        } catch (error) {
+            onError(error);
+        }
+    }
+
+    const defaults = { ...DEFAULT_ROOT, ...config.defaults };
+    return (config.roots || []).map(root => normalizeRoot(typeof root === 'string' ? { path: root } : root, defaults));
+}
+
+function normalizeRoot(root, defaults = DEFAULT_ROOT) {
+    const normalized = { ...defaults, ...root };
+
+    normalized.path = path.resolve(normalized.path.replace(/^~(?=$|[\\/])/, os.homedir()));
+    normalized.events = normalized.events.filter(event => WATCH_EVENTS.includes(event));
+    normalized.depth = normalized.recursive ? normalized.depth : 0;
+    normalized.downloads = normalized.downloads === true;
+
+    const matchOptions = { dot: true, nocase: true };
+    normalized.isIncluded = picomatch(normalized.include, matchOptions);
+    normalized.isExcluded = normalized.exclude.length > 0
+        ? picomatch(normalized.exclude, matchOptions)
+        : () => false;
+
+    return normalized;
+}
+
+// Forward-slash path of filePath inside root, as the globs expect
+function relativePath(root, filePath) {
+    return path.relative(root.path, filePath).split(path.sep).join('/');
+}
+
+module.exports = {
+    DEFAULT_ROOT,
+    defaultRoots,
+    loadWatchRoots,
+    normalizeRoot,
+    relativePath
+};
@@ -0,0 +1,215 @@
+// src/documentDiff.js - Section-level comparison of two versions of a document's extracted text
+const { extractKeywords } = require('./summarizer');
+
+const MAX_LISTED_SECTIONS = 50;
+const MAX_SECTION_TEXT = 1500;
+const MIN_SIMILARITY = 0.5; // Share of words two sections need in common to count as one edited section
+
+// "3.2 Payment", "Section 14", "ARTICLE IV", "SCHEDULE A": short lines that start a section
+function isHeading(line) {
+    if (line.length > 80 || /[,;:]$/.test(line)) {
+        return false;
+    }
+
+    return /^\d+(?:\.\d+)*\.?\s+\p{Lu}/u.test(line) ||
+           /^(?:section|article|chapter|clause|schedule|appendix|annex|part)\s+[\p{L}\p{N}.]+/iu.test(line) ||
+           (/\p{L}{3}/u.test(line) && line === line.toUpperCase() && !/[.!?]$/.test(line));
+}
+
+// Sections start at headings; text without headings is compared paragraph by paragraph
+function splitSections(text) {
+    const sections = [];
+    let current = { title: null, lines: [] };
+
+    const flush = () => {
+        const body = current.lines.join('\n').trim();
+        if (body || current.title) {
+            sections.push({ title: current.title, text: body });
+        }
+    };
+
+    String(text).split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (line && isHeading(line)) {
+            flush();
+            current = { title: line, lines: [] };
+        } else {
+            current.lines.push(rawLine);
+        }
+    });
+    flush();
+
+    if (sections.length <= 1) {
+        return String(text).split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(Boolean)
+            .map(paragraph => ({ title: null, text: paragraph }));
+    }
+    return sections;
+}
+
+function normalize(value) {
+    return String(value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function sectionKey(section) {
+    return `${normalize(section.title)}\n${normalize(section.text)}`;
+}
+
+function splitSentences(text) {
+    return (String(text).replace(/\s+/g, ' ').match(/[^.!?]+(?:[.!?]+|$)/g) || [])
+        .map(sentence => sentence.trim())
+        .filter(sentence => sentence.length > 1);
+}
+
+function wordSet(text) {
+    return new Set(normalize(text).match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+function similarity(a, b) {
+    const left = wordSet(a.text);
+    const right = wordSet(b.text);
+    if (left.size === 0 && right.size === 0) return 1;
+
+    let shared = 0;
+    left.forEach(word => {
+        if (right.has(word)) shared++;
+    });
+    return shared / (left.size + right.size - shared);
+}
+
+// Untitled sections are named by their first words
+function describeSection(section) {
+    if (section.title) return section.title;
+    const start = section.text.replace(/\s+/g, ' ').trim();
+    return start.length > 60 ? `${start.slice(0, 60)}…` : start;
+}
+
+function truncate(text) {
+    return text.length > MAX_SECTION_TEXT ? `${text.slice(0, MAX_SECTION_TEXT)}…` : text;
+}
+
+// Sentences only in one version of an edited section
+function diffSentences(before, after) {
+    const beforeSet = new Set(splitSentences(before).map(normalize));
+    const afterSentences = splitSentences(after);
+    const afterSet = new Set(afterSentences.map(normalize));
+
+    return {
+        added: afterSentences.filter(sentence => !beforeSet.has(normalize(sentence))),
+        removed: splitSentences(before).filter(sentence => !afterSet.has(normalize(sentence)))
+    };
+}
+
+// Sections are matched by content regardless of position, so moved sections count as unchanged
+function diffSections(previousText, currentText) {
+    const before = splitSections(previousText);
+    const after = splitSections(currentText);
+
+    const unmatchedCounts = new Map();
+    before.forEach(section => {
+        const key = sectionKey(section);
+        unmatchedCounts.set(key, (unmatchedCounts.get(key) || 0) + 1);
+    });
+
+    let unchanged = 0;
+    const newSections = after.filter(section => {
+        const key = sectionKey(section);
+        if (unmatchedCounts.get(key) > 0) {
+            unmatchedCounts.set(key, unmatchedCounts.get(key) - 1);
+            unchanged++;
+            return false;
+        }
+        return true;
+    });
+    let oldSections = before.filter(section => {
+        const key = sectionKey(section);
+        if (unmatchedCounts.get(key) > 0) {
+            unmatchedCounts.set(key, unmatchedCounts.get(key) - 1);
+            return true;
+        }
+        return false;
+    });
+
+    // A new section replaces an old one with the same heading, or failing that the most similar one
+    const modified = [];
+    const added = [];
+    newSections.forEach(section => {
+        let partner = section.title
+            ? oldSections.find(old => normalize(old.title) === normalize(section.title))
+            : null;
+
+        if (!partner) {
+            let best = MIN_SIMILARITY;
+            oldSections.forEach(old => {
+                const score = similarity(old, section);
+                if (score >= best) {
+                    best = score;
+                    partner = old;
+                }
+            });
+        }
+
+        if (partner) {
+            oldSections = oldSections.filter(old => old !== partner);
+            modified.push({ title: describeSection(section), ...diffSentences(partner.text, section.text) });
+        } else {
+            added.push(section);
+        }
+    });
+
+    const changes = {
+        sections: after.length,
+        unchanged,
+        modified: modified.slice(0, MAX_LISTED_SECTIONS),
+        added: added.slice(0, MAX_LISTED_SECTIONS).map(section => ({ title: describeSection(section), text: truncate(section.text) })),
+        removed: oldSections.slice(0, MAX_LISTED_SECTIONS).map(section => ({ title: describeSection(section), text: truncate(section.text) })),
+        counts: { modified: modified.length, added: added.length, removed: oldSections.length }
+    };
+
+    const addedText = [...added.map(section => section.text), ...modified.flatMap(section => section.added)].join(' ');
+    const removedText = [...oldSections.map(section => section.text), ...modified.flatMap(section => section.removed)].join(' ');
+    changes.summary = summarizeChanges(changes, addedText, removedText);
+
+    return changes;
+}
+
+function describeMaterial(label, text) {
+    const words = text.split(/\s+/).filter(Boolean).length;
+    if (words === 0) return null;
+
+    const firstSentence = splitSentences(text)[0] || '';
+    const keywords = extractKeywords(text).slice(0, 4);
+    let line = `${label} ${words} word${words === 1 ? '' : 's'}`;
+    if (keywords.length > 0) {
+        line += `, mainly about ${keywords.join(', ')}`;
+    }
+    if (firstSentence) {
+        line += `: "${firstSentence.length > 160 ? `${firstSentence.slice(0, 160)}…` : firstSentence}"`;
+    }
+    return line;
+}
+
+function summarizeChanges(changes, addedText, removedText) {
+    const { modified, added, removed } = changes.counts;
+    if (modified + added + removed === 0) {
+        return 'The text is the same as the previous version; only formatting or file details changed.';
+    }
+
+    const counts = [];
+    if (modified) counts.push(`${modified} section${modified === 1 ? '' : 's'} edited`);
+    if (added) counts.push(`${added} added`);
+    if (removed) counts.push(`${removed} removed`);
+    counts.push(`${changes.unchanged} unchanged`);
+
+    return [
+        `✏️ ${counts.join(', ')}`,
+        describeMaterial('➕ Added', addedText),
+        describeMaterial('➖ Removed', removedText)
+    ].filter(Boolean).join('\n');
+}
+
+module.exports = {
+    splitSections,
+    diffSections
+};
@@ -0,0 +1,151 @@
+// src/exporter.js - Summary export to Markdown, standalone HTML, DOCX and PDF
+const path = require('path');
+const { Document, Packer, Paragraph, TextRun, HeadingLevel } = require('docx');
+
+const EXPORT_FORMATS = {
+    markdown: { name: 'Markdown', extension: '.md' },
+    html: { name: 'HTML Page', extension: '.html' },
+    docx: { name: 'Word Document', extension: '.docx' },
+    pdf: { name: 'PDF', extension: '.pdf' }
+};
+
+function formatSize(bytes) {
+    if (!bytes) return null;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// [label, value] rows shown above the summary in every format; entries are SummaryHistory entries
+function describeEntry(entry) {
+    return [
+        ['File', entry.fileName],
+        ['Location', entry.filePath],
+        ['Size', formatSize(entry.fileSize)],
+        ['Opened in', entry.readerApplication],
+        ['Detected from', entry.source],
+        ['Summarized', new Date(entry.timestamp).toLocaleString()],
+        ['Summarized by', entry.isLocal ? 'This computer (summary service offline)' : 'InsightMint summary service']
+    ].filter(([, value]) => value);
+}
+
+// "report.pdf" -> "report summary.md"
+function exportFileName(entry, format) {
+    const base = path.basename(entry.fileName, path.extname(entry.fileName)).replace(/[<>:"/\\|?*\x00-\x1f]/g, '_');
+    return `${base} summary${EXPORT_FORMATS[format].extension}`;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function toMarkdown(entry) {
+    const escapeCell = value => String(value).replace(/\|/g, '\\|');
+    const rows = describeEntry(entry).map(([label, value]) => `| ${label} | ${escapeCell(value)} |`);
+    // Hard line breaks keep the summary's lines apart when rendered; document text is never read as HTML
+    const summary = entry.summary.split('\n').map(line => line.trimEnd().replace(/[<>]/g, '\\$&')).join('  \n');
+
+    return [
+        `# Summary: ${entry.fileName}`,
+        '',
+        '| | |',
+        '|---|---|',
+        ...rows,
+        '',
+        '---',
+        '',
+        summary,
+        ''
+    ].join('\n');
+}
+
+function toHtml(entry) {
+    const rows = describeEntry(entry)
+        .map(([label, value]) => `            <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Summary: ${escapeHtml(entry.fileName)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif; color: #2d3748; max-width: 760px; margin: 32px auto; padding: 0 24px; }
+        h1 { font-size: 20px; color: #553c9a; }
+        table { border-collapse: collapse; margin: 16px 0; font-size: 13px; }
+        th { text-align: left; color: #718096; font-weight: 600; padding: 3px 16px 3px 0; vertical-align: top; }
+        td { padding: 3px 0; word-break: break-all; }
+        .summary { border-top: 1px solid #e2e8f0; padding-top: 16px; line-height: 1.6; white-space: pre-wrap; word-wrap: break-word; }
+    </style>
+</head>
+<body>
+    <h1>Summary: ${escapeHtml(entry.fileName)}</h1>
+    <table>
+${rows}
+    </table>
+    <div class="summary">${escapeHtml(entry.summary)}</div>
+</body>
+</html>
+`;
+}
+
+function toDocx(entry) {
+    const document = new Document({
+        creator: 'InsightMint',
+        title: `Summary: ${entry.fileName}`,
+        sections: [{
+            children: [
+                new Paragraph({ text: `Summary: ${entry.fileName}`, heading: HeadingLevel.HEADING_1 }),
+                ...describeEntry(entry).map(([label, value]) => new Paragraph({
+                    children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(String(value))]
+                })),
+                new Paragraph(''),
+                ...entry.summary.split('\n').map(line => new Paragraph(line))
+            ]
+        }]
+    });
+
+    return Packer.toBuffer(document);
+}
+
+// Rendered by Chromium in a hidden window; only available in the Electron main process
+async function toPdf(entry) {
+    const { BrowserWindow } = require('electron');
+    const window = new BrowserWindow({
+        show: false,
+        webPreferences: { javascript: false, sandbox: true }
+    });
+
+    try {
+        await window.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(toHtml(entry))}`);
+        return await window.webContents.printToPDF({ pageSize: 'A4', printBackground: true });
+    } finally {
+        window.destroy();
+    }
+}
+
+const RENDERERS = {
+    markdown: toMarkdown,
+    html: toHtml,
+    docx: toDocx,
+    pdf: toPdf
+};
+
+// Resolves to the file contents, a string or a Buffer
+async function exportSummary(entry, format) {
+    const render = RENDERERS[format];
+    if (!render) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+    return render(entry);
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    exportFileName,
+    exportSummary
+};
@@ -215,6 +215,19 @@ function logFileAccess(fileInfo) {
     }
 }
 
+function logDocumentClosed(fileInfo) {
+    logger.access('Document closed', {
+        fileName: fileInfo.fileName,
+        fullPath: fileInfo.fullPath,
+        readerApplication: fileInfo.readerApplication,
+        sessionId: fileInfo.sessionId,
+        reason: fileInfo.reason,
+        openedAt: fileInfo.openedAt,
+        closedAt: fileInfo.closedAt,
+        durationMs: fileInfo.durationMs
+    });
+}
+
 function logAPICall(endpoint, method, status, duration, data = {}) {
     logger.info('API call', {
         endpoint,
@@ -264,7 +277,7 @@ function setupLogging() {
     });
     
     // Log unhandled promise rejections
-    process.on('unhandledRejection', (reason, promise) => {
+    process.on('unhandledRejection', (reason) => {
         logger.error('Unhandled promise rejection', {
             reason: reason?.message || reason,
             stack: reason?.stack
@@ -308,6 +321,7 @@ function createTimer(name) {
 module.exports = {
     logger,
     logFileAccess,
+    logDocumentClosed,
     logAPICall,
     logError,
     logFileProcessing,
@@ -0,0 +1,170 @@
+// src/powershellScripts.js - PowerShell scripts used by the Windows detectors
+//
+// Scripts are static text. Parameters are read from $env:INSIGHTMINT_PARAM_<NAME>
+// (see commandRunner.paramVariable), both for one-off runs and inside the helper process.
+// READERPATTERN always holds the process-name regex of the enabled readers (ReaderRegistry).
+const SCRIPTS = {
+    'process-scan': `
+        try {
+            Get-Process | Where-Object {
+                $_.ProcessName -match $env:INSIGHTMINT_PARAM_READERPATTERN -and
+                $_.MainWindowTitle -ne ""
+            } | ForEach-Object {
+                try {
+                    $proc = Get-WmiObject Win32_Process -Filter "ProcessId = $($_.Id)" -ErrorAction SilentlyContinue
+                    if ($proc -and $proc.CommandLine) {
+                        [PSCustomObject]@{
+                            Name = $_.ProcessName
+                            Id = $_.Id
+                            Title = $_.MainWindowTitle
+                            CommandLine = $proc.CommandLine
+                            StartTime = $proc.CreationDate
+                        }
+                    }
+                } catch { }
+            } | ConvertTo-Json -Depth 2
+        } catch {
+            Write-Error "Process scan failed: $($_.Exception.Message)"
+        }
+    `,
+
+    'file-access': `
+        try {
+            $fileName = $env:INSIGHTMINT_PARAM_FILENAME
+            $filePath = $env:INSIGHTMINT_PARAM_FILEPATH
+            $processes = Get-Process | Where-Object {
+                $_.MainWindowTitle.IndexOf($fileName, [System.StringComparison]::OrdinalIgnoreCase) -ge 0 -or
+                $_.ProcessName -match $env:INSIGHTMINT_PARAM_READERPATTERN
+            }
+            $processes | ForEach-Object {
+                [PSCustomObject]@{
+                    Name = $_.ProcessName
+                    Id = $_.Id
+                    Title = $_.MainWindowTitle
+                    FilePath = $filePath
+                }
+            } | ConvertTo-Json -Depth 2
+        } catch {
+            Write-Error "File access check failed: $($_.Exception.Message)"
+        }
+    `,
+
+    'handle-monitor': `
+        try {
+            $processes = Get-Process | Where-Object {
+                $_.ProcessName -match $env:INSIGHTMINT_PARAM_READERPATTERN
+            }
+            foreach ($proc in $processes) {
+                try {
+                    $wmiProc = Get-WmiObject Win32_Process -Filter "ProcessId = $($proc.Id)" -ErrorAction SilentlyContinue
+                    if ($wmiProc -and $wmiProc.CommandLine -and $wmiProc.CommandLine -match "\\.(pdf|doc|docx)") {
+                        [PSCustomObject]@{
+                            ProcessName = $proc.ProcessName
+                            ProcessId = $proc.Id
+                            WindowTitle = $proc.MainWindowTitle
+                            CommandLine = $wmiProc.CommandLine
+                        }
+                    }
+                } catch { }
+            } | ConvertTo-Json -Depth 2
+        } catch {
+            Write-Error "Handle monitor failed: $($_.Exception.Message)"
+        }
+    `,
+
+    'recent-file': `
+        try {
+            $shell = New-Object -ComObject WScript.Shell
+            $shortcut = $shell.CreateShortcut($env:INSIGHTMINT_PARAM_LINKPATH)
+            $targetPath = $shortcut.TargetPath
+            if ($targetPath -match "\\.(pdf|doc|docx)$") {
+                @{
+                    TargetPath = $targetPath
+                    Arguments = $shortcut.Arguments
+                } | ConvertTo-Json
+            }
+        } catch {
+            Write-Error "Recent file analysis failed: $($_.Exception.Message)"
+        }
+    `,
+
+    'test-scan': `
+        try {
+            Get-Process | Where-Object {
+                $_.MainWindowTitle -ne "" -and
+                ($_.ProcessName -match $env:INSIGHTMINT_PARAM_READERPATTERN -or
+                 $_.MainWindowTitle -match "\\.(pdf|doc|docx)")
+            } | ForEach-Object {
+                [PSCustomObject]@{
+                    Name = $_.ProcessName
+                    Id = $_.Id
+                    Title = $_.MainWindowTitle
+                    HasWindow = $_.MainWindowHandle -ne 0
+                }
+            } | ConvertTo-Json -Depth 2
+        } catch {
+            Write-Error "Test scan failed: $($_.Exception.Message)"
+        }
+    `
+};
+
+// Long-lived helper: one JSON request per stdin line, one JSON response per stdout line.
+//   request:  {"id": 1, "op": "process-scan", "params": {"fileName": "..."}}
+//   response: {"id": 1, "ok": true, "result": <parsed script output or null>}
+//             {"id": 1, "ok": false, "error": "message"}
+function buildHelperScript(scripts = SCRIPTS) {
+    const operations = Object.entries(scripts)
+        .map(([name, script]) => `    '${name}' = {${script}}`)
+        .join('\n');
+
+    return `
+$ErrorActionPreference = 'Continue'
+[Console]::OutputEncoding = [System.Text.Encoding]::UTF8
+$ops = @{
+${operations}
+}
+
+function Send-Response($line) {
+    [Console]::Out.WriteLine($line)
+    [Console]::Out.Flush()
+}
+
+while ($true) {
+    $line = [Console]::In.ReadLine()
+    if ($line -eq $null) { break }
+    if ($line.Trim() -eq '') { continue }
+
+    $id = 'null'
+    try {
+        $request = $line | ConvertFrom-Json
+        $id = [string][int64]$request.id
+        $block = $ops[[string]$request.op]
+        if ($block -eq $null) {
+            Send-Response ('{"id":' + $id + ',"ok":false,"error":' + (ConvertTo-Json ("Unknown operation: " + $request.op)) + '}')
+            continue
+        }
+
+        # Parameters arrive as data and are exposed the same way as for one-off runs
+        Get-ChildItem env: | Where-Object { $_.Name -like 'INSIGHTMINT_PARAM_*' } | ForEach-Object { Remove-Item ("env:" + $_.Name) }
+        if ($request.params) {
+            $request.params.PSObject.Properties | ForEach-Object {
+                $name = 'INSIGHTMINT_PARAM_' + ($_.Name.ToUpper() -replace '[^A-Z0-9]', '_')
+                Set-Item -Path ("env:" + $name) -Value ([string]$_.Value)
+            }
+        }
+
+        $output = (& $block 2>$null | Out-String).Trim()
+        if ($output -eq '') { $output = 'null' }
+        $output = $output -replace "\`r?\`n", ' '
+        Send-Response ('{"id":' + $id + ',"ok":true,"result":' + $output + '}')
+    } catch {
+        Send-Response ('{"id":' + $id + ',"ok":false,"error":' + (ConvertTo-Json ([string]$_.Exception.Message)) + '}')
+    }
+}
+`;
+}
+
+module.exports = {
+    SCRIPTS,
+    buildHelperScript
+};
@@ -0,0 +1,216 @@
+// src/summarizer.js - Text extraction and summarization shared by the API server and the offline fallback
+const path = require('path');
+const pdf = require('pdf-parse');
+const mammoth = require('mammoth');
+
+const STOP_WORDS = ['this', 'that', 'with', 'have', 'will', 'from', 'they', 'been', 'said', 'each', 'which', 'their', 'time', 'would', 'there', 'could', 'other'];
+
+async function extractTextFromBuffer(fileBuffer, fileName) {
+    const ext = path.extname(fileName).toLowerCase();
+    let text = '';
+
+    try {
+        console.log(`📄 File buffer size: ${fileBuffer.length} bytes`);
+
+        if (ext === '.pdf') {
+            console.log('Processing PDF file...');
+
+            const pdfData = await pdf(fileBuffer, {
+                normalizeWhitespace: false,
+                disableCombineTextItems: false,
+                max: 0 // Process all pages
+            });
+            text = pdfData.text;
+
+            console.log(`📊 PDF Info: ${pdfData.numpages} pages, ${text.length} characters`);
+
+            // If main text is empty, try metadata or other properties
+            if (text.trim().length < 50 && pdfData.info) {
+                console.log('🔍 Trying PDF metadata...');
+                const metadata = JSON.stringify(pdfData.info, null, 2);
+                text = `PDF Metadata:\n${metadata}\n\nExtracted Text:\n${text}`;
+            }
+        } else if (ext === '.docx' || ext === '.doc') {
+            console.log('Processing Word document...');
+            const { value } = await mammoth.extractRawText({ buffer: fileBuffer });
+            text = value;
+            console.log(`📝 Word doc extracted: ${text.length} characters`);
+        } else {
+            throw new Error(`Unsupported file type: ${ext}`);
+        }
+
+        console.log(`✅ Final extracted text length: ${text.length} characters`);
+        return text;
+    } catch (error) {
+        console.error('❌ Error extracting text:', error.message);
+        throw new Error(`Failed to extract text from ${fileName}: ${error.message}`);
+    }
+}
+
+function summarizeText(text, filename) {
+    console.log(`🤖 Summarizing text of length: ${text.length}`);
+
+    // Handle very short text
+    if (text.trim().length < 20) {
+        return `📄 Document: ${filename}\n❗ Very short content detected (${text.length} characters).\n\nContent:\n${text.trim()}`;
+    }
+
+    const sentences = text
+        .replace(/\s+/g, ' ')
+        .trim()
+        .split(/[.!?]+/)
+        .filter(sentence => sentence.trim().length > 5)
+        .map(s => s.trim());
+
+    if (sentences.length === 0) {
+        return `📄 Document: ${filename}\n❗ No readable sentences found.\n\nRaw content (first 500 chars):\n${text.substring(0, 500)}`;
+    }
+
+    let summary = '';
+    const wordCount = text.split(/\s+/).filter(word => word.length > 0).length;
+    const charCount = text.length;
+
+    summary += `📄 Document Summary: ${filename}\n`;
+    summary += `📊 Stats: ${wordCount} words, ${charCount} characters, ${sentences.length} sentences\n\n`;
+
+    // Add content based on length
+    if (text.length < 200) {
+        summary += '📝 Full Content:\n';
+        summary += text.trim();
+    } else {
+        const introSentences = sentences.slice(0, Math.min(5, sentences.length));
+        summary += '📋 Key Points:\n';
+        introSentences.forEach((sentence, index) => {
+            summary += `${index + 1}. ${sentence}.\n`;
+        });
+
+        if (sentences.length > 5) {
+            summary += `\n🔍 Analysis: This document contains ${sentences.length} sentences. `;
+            const keywords = extractKeywords(text);
+            if (keywords.length > 0) {
+                summary += `Main topics appear to focus on: ${keywords.slice(0, 5).join(', ')}.`;
+            }
+        }
+    }
+
+    return summary;
+}
+
+function extractKeywords(text) {
+    try {
+        const words = text.toLowerCase()
+            .replace(/[^\w\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word.length > 3)
+            .filter(word => !STOP_WORDS.includes(word));
+
+        const wordFreq = {};
+        words.forEach(word => {
+            wordFreq[word] = (wordFreq[word] || 0) + 1;
+        });
+
+        return Object.entries(wordFreq)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 10)
+            .map(([word]) => word);
+    } catch (error) {
+        console.error('Error extracting keywords:', error);
+        return [];
+    }
+}
+
+// Words that say what kind of answer is wanted rather than what it is about
+const QUESTION_WORDS = ['what', 'when', 'where', 'who', 'whom', 'whose', 'why', 'how', 'does', 'did', 'the', 'and', 'for',
+    'are', 'was', 'were', 'can', 'should', 'about', 'document', 'there', 'any', 'many', 'much', 'tell', 'say', 'says'];
+
+// Crude, but lets "terminate" find "termination"
+function stem(word) {
+    return /^\p{L}+$/u.test(word) && word.length > 6 ? word.slice(0, 6) : word.replace(/(\p{L}{3,})s$/u, '$1');
+}
+
+function words(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}]+(?:[.\-/][\p{N}]+)*/gu) || [];
+}
+
+// Paragraphs, with long ones cut into runs of a few sentences
+function splitPassages(text, maxLength = 600) {
+    const passages = [];
+
+    text.split(/\n\s*\n/).forEach(paragraph => {
+        const clean = paragraph.replace(/\s+/g, ' ').trim();
+        if (clean.length < 20) return;
+
+        if (clean.length <= maxLength) {
+            passages.push(clean);
+            return;
+        }
+
+        let current = '';
+        (clean.match(/[^.!?]+(?:[.!?]+|$)/g) || [clean]).forEach(sentence => {
+            if (current && current.length + sentence.length > maxLength) {
+                passages.push(current.trim());
+                current = '';
+            }
+            current += sentence;
+        });
+        if (current.trim()) passages.push(current.trim());
+    });
+
+    return passages;
+}
+
+// Extractive question answering: the passages sharing the most (and rarest) words with the question
+function findPassages(text, question, limit = 3) {
+    const questionTerms = Array.from(new Set(words(question)
+        .filter(word => (word.length > 2 || /\p{N}/u.test(word)) && !QUESTION_WORDS.includes(word) && !STOP_WORDS.includes(word))
+        .map(stem)));
+    if (questionTerms.length === 0) {
+        return [];
+    }
+
+    const passages = splitPassages(text).map(passage => ({ text: passage, terms: words(passage).map(stem) }));
+    const documentFrequency = {};
+    passages.forEach(passage => {
+        new Set(passage.terms).forEach(term => {
+            documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+        });
+    });
+
+    return passages
+        .map((passage, index) => {
+            const present = new Set(passage.terms);
+            let score = 0;
+            questionTerms.forEach(term => {
+                if (present.has(term)) {
+                    score += Math.log(1 + passages.length / documentFrequency[term]);
+                }
+            });
+            // Question words next to each other in the passage count extra
+            for (let i = 0; i < passage.terms.length - 1; i++) {
+                if (questionTerms.includes(passage.terms[i]) && questionTerms.includes(passage.terms[i + 1])) {
+                    score += 0.5;
+                }
+            }
+            return { text: passage.text, score: Number(score.toFixed(3)), position: index };
+        })
+        .filter(passage => passage.score > 0)
+        .sort((a, b) => b.score - a.score || a.position - b.position)
+        .slice(0, limit);
+}
+
+// Extract and summarize in one step, for callers that have the whole file
+async function summarizeBuffer(fileBuffer, fileName) {
+    const text = await extractTextFromBuffer(fileBuffer, fileName);
+    return {
+        text,
+        summary: summarizeText(text, fileName)
+    };
+}
+
+module.exports = {
+    extractTextFromBuffer,
+    summarizeText,
+    extractKeywords,
+    findPassages,
+    summarizeBuffer
+};
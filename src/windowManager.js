@@ -1,5 +1,5 @@
 // src/windowManager.js - Window and Tray Management
-const { BrowserWindow, Tray, Menu, app, shell } = require('electron');
+const { BrowserWindow, Tray, Menu, app, shell, nativeImage } = require('electron');
 const path = require('path');
 
 function createSummaryWindow() {
@@ -50,65 +50,107 @@ function createSummaryWindow() {
   return window;
 }
 
-function createTrayIcon(summaryWindow) {
+// Regular framed window; closing it destroys it
+function createSettingsWindow() {
+  const window = new BrowserWindow({
+    width: 560,
+    height: 680,
+    minWidth: 480,
+    minHeight: 400,
+    title: 'InsightMint Settings',
+    autoHideMenuBar: true,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, '..', 'preload.js')
+    }
+  });
+  
+  window.loadFile(path.join(__dirname, '..', 'renderer', 'settings.html'));
+  
+  console.log('✅ Settings window created');
+  return window;
+}
+
+function createHistoryWindow() {
+  const window = new BrowserWindow({
+    width: 900,
+    height: 620,
+    minWidth: 640,
+    minHeight: 420,
+    title: 'InsightMint History',
+    autoHideMenuBar: true,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, '..', 'preload.js')
+    }
+  });
+  
+  window.loadFile(path.join(__dirname, '..', 'renderer', 'history.html'));
+  
+  console.log('✅ History window created');
+  return window;
+}
+
+function createSearchWindow() {
+  const window = new BrowserWindow({
+    width: 680,
+    height: 560,
+    minWidth: 480,
+    minHeight: 320,
+    title: 'Search My Documents - InsightMint',
+    autoHideMenuBar: true,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, '..', 'preload.js')
+    }
+  });
+  
+  window.loadFile(path.join(__dirname, '..', 'renderer', 'search.html'));
+  
+  console.log('✅ Search window created');
+  return window;
+}
+
+function createAuthWindow() {
+  const window = new BrowserWindow({
+    width: 440,
+    height: 340,
+    resizable: false,
+    minimizable: false,
+    maximizable: false,
+    alwaysOnTop: true,
+    title: 'Sign In - InsightMint',
+    autoHideMenuBar: true,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, '..', 'preload.js')
+    }
+  });
+  
+  window.loadFile(path.join(__dirname, '..', 'renderer', 'auth.html'));
+  return window;
+}
+
+// Tray state that the menu, tooltip and icon are rebuilt from
+const trayContexts = new WeakMap();
+
+// controls: { getPauseState, pause(minutes), resume, isQuietHoursEnabled, setQuietHoursEnabled, editQuietHours,
+//             getQueueSize, cancelAll, getServiceStatus, checkService, openSettings, openHistory,
+//             openSearch, searchShortcut }
+function createTrayIcon(summaryWindow, controls = {}) {
   // Try to load tray icon
   const iconPath = getTrayIconPath();
   
   try {
     const tray = new Tray(iconPath);
+    trayContexts.set(tray, { summaryWindow, controls, iconPath, icons: new Map() });
     
-    // Tray tooltip
-    tray.setToolTip('InsightMint - Document Summary Assistant');
-    
-    // Tray context menu
-    const contextMenu = Menu.buildFromTemplate([
-      {
-        label: 'InsightMint',
-        enabled: false
-      },
-      { type: 'separator' },
-      {
-        label: 'Show Summary Window',
-        click: () => {
-          if (summaryWindow && !summaryWindow.isDestroyed()) {
-            summaryWindow.show();
-            summaryWindow.focus();
-          }
-        }
-      },
-      {
-        label: 'Test File Monitor',
-        click: () => {
-          testFileMonitor();
-        }
-      },
-      { type: 'separator' },
-      {
-        label: 'Open Log File',
-        click: () => {
-          const logPath = path.join(__dirname, '..', 'file_access.log');
-          shell.openPath(logPath).catch(() => {
-            console.log('Log file not found');
-          });
-        }
-      },
-      {
-        label: 'About',
-        click: () => {
-          showAboutDialog();
-        }
-      },
-      { type: 'separator' },
-      {
-        label: 'Quit InsightMint',
-        click: () => {
-          app.isQuiting = true;
-          app.quit();
-        }
-      }
-    ]);
-    
-    tray.setContextMenu(contextMenu);
+    // Tooltip, icon and context menu
+    updateTrayState(tray);
     
     // Tray click events
     tray.on('click', () => {
@@ -138,6 +180,233 @@ function createTrayIcon(summaryWindow) {
   }
 }
 
+// Call whenever the pause state or the summary service state changes
+function updateTrayState(tray) {
+  const context = tray && !tray.isDestroyed() ? trayContexts.get(tray) : null;
+  if (!context) return;
+  
+  const { controls } = context;
+  const pauseState = controls.getPauseState ? controls.getPauseState() : { paused: false };
+  const serviceStatus = controls.getServiceStatus ? controls.getServiceStatus() : null;
+  
+  const tooltip = [`InsightMint - ${pauseState.paused ? describePauseState(pauseState) : 'Document Summary Assistant'}`];
+  if (serviceStatus) {
+    tooltip.push(describeServiceState(serviceStatus));
+  }
+  tray.setToolTip(tooltip.join('\n'));
+  tray.setImage(getTrayImage(context, pauseState.paused, serviceStatus ? serviceStatus.state : 'healthy'));
+  
+  tray.setContextMenu(buildTrayMenu(context, pauseState, serviceStatus));
+}
+
+function buildTrayMenu(context, pauseState, serviceStatus) {
+  const { summaryWindow, controls } = context;
+  
+  const serviceItems = serviceStatus
+    ? [
+      {
+        label: describeServiceState(serviceStatus),
+        enabled: false
+      },
+      {
+        label: 'Check Summary Service Now',
+        click: () => controls.checkService && controls.checkService()
+      },
+      { type: 'separator' }
+    ]
+    : [];
+  
+  const pauseItems = pauseState.paused
+    ? [
+      {
+        label: describePauseState(pauseState),
+        enabled: false
+      },
+      {
+        label: 'Resume Now',
+        click: () => controls.resume && controls.resume()
+      }
+    ]
+    : [
+      {
+        label: 'Pause Summaries',
+        submenu: [
+          { label: 'For 15 Minutes', click: () => controls.pause && controls.pause(15) },
+          { label: 'For 1 Hour', click: () => controls.pause && controls.pause(60) },
+          { label: 'Until I Resume', click: () => controls.pause && controls.pause(null) }
+        ]
+      }
+    ];
+  
+  const queueSize = controls.getQueueSize ? controls.getQueueSize() : 0;
+  const queueItems = queueSize > 0
+    ? [
+      {
+        label: `Cancel Processing (${queueSize})`,
+        click: () => controls.cancelAll && controls.cancelAll()
+      }
+    ]
+    : [];
+  
+  return Menu.buildFromTemplate([
+    {
+      label: 'InsightMint',
+      enabled: false
+    },
+    { type: 'separator' },
+    ...serviceItems,
+    ...queueItems,
+    {
+      label: 'Show Summary Window',
+      click: () => {
+        if (summaryWindow && !summaryWindow.isDestroyed()) {
+          summaryWindow.show();
+          summaryWindow.focus();
+        }
+      }
+    },
+    {
+      label: 'Search My Documents...',
+      accelerator: controls.searchShortcut,
+      click: () => controls.openSearch && controls.openSearch()
+    },
+    {
+      label: 'History...',
+      click: () => controls.openHistory && controls.openHistory()
+    },
+    {
+      label: 'Test File Monitor',
+      click: () => {
+        testFileMonitor();
+      }
+    },
+    { type: 'separator' },
+    ...pauseItems,
+    {
+      label: 'Quiet Hours',
+      type: 'checkbox',
+      checked: Boolean(controls.isQuietHoursEnabled && controls.isQuietHoursEnabled()),
+      click: (menuItem) => controls.setQuietHoursEnabled && controls.setQuietHoursEnabled(menuItem.checked)
+    },
+    {
+      label: 'Edit Quiet Hours...',
+      click: () => controls.editQuietHours && controls.editQuietHours()
+    },
+    { type: 'separator' },
+    {
+      label: 'Settings...',
+      click: () => controls.openSettings && controls.openSettings()
+    },
+    {
+      label: 'Open Log File',
+      click: () => {
+        const logPath = path.join(__dirname, '..', 'file_access.log');
+        shell.openPath(logPath).catch(() => {
+          console.log('Log file not found');
+        });
+      }
+    },
+    {
+      label: 'About',
+      click: () => {
+        showAboutDialog();
+      }
+    },
+    { type: 'separator' },
+    {
+      label: 'Quit InsightMint',
+      click: () => {
+        app.isQuiting = true;
+        app.quit();
+      }
+    }
+  ]);
+}
+
+function describePauseState(pauseState) {
+  const until = pauseState.until
+    ? pauseState.until.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : null;
+  
+  if (pauseState.reason === 'quiet-hours') {
+    return `Quiet hours until ${until}`;
+  }
+  return until ? `Paused until ${until}` : 'Paused';
+}
+
+function describeServiceState(serviceStatus) {
+  switch (serviceStatus.state) {
+    case 'healthy':
+      return 'Summary service: online';
+    case 'degraded':
+      return 'Summary service: slow or unstable';
+    case 'down':
+      return 'Summary service: offline (local summaries)';
+    default:
+      return 'Summary service: checking...';
+  }
+}
+
+// Status dot colors as BGRA
+const SERVICE_BADGES = {
+  degraded: [0x00, 0xa5, 0xff, 0xff], // Amber
+  down: [0x30, 0x30, 0xe5, 0xff] // Red
+};
+
+// Icons are generated once per paused/service combination
+function getTrayImage(context, paused, serviceState) {
+  const badge = SERVICE_BADGES[serviceState] || null;
+  const key = `${paused}-${badge ? serviceState : 'none'}`;
+  
+  if (!paused && !badge) {
+    return context.iconPath;
+  }
+  
+  if (!context.icons.has(key)) {
+    context.icons.set(key, createStatusIcon(context.iconPath, { paused, badge }));
+  }
+  return context.icons.get(key) || context.iconPath;
+}
+
+// Greyed-out, half-transparent copy of the tray icon when paused,
+// with a colored dot in the bottom-right corner for the service state
+function createStatusIcon(iconPath, { paused, badge }) {
+  try {
+    const image = nativeImage.createFromPath(iconPath);
+    if (image.isEmpty()) return null;
+    
+    const size = image.getSize();
+    const bitmap = image.toBitmap(); // BGRA
+    
+    if (paused) {
+      for (let i = 0; i < bitmap.length; i += 4) {
+        // Halve color and alpha together so premultiplied pixels stay valid
+        const gray = Math.round((bitmap[i] * 0.11 + bitmap[i + 1] * 0.59 + bitmap[i + 2] * 0.3) * 0.5);
+        bitmap[i] = bitmap[i + 1] = bitmap[i + 2] = gray;
+        bitmap[i + 3] = Math.round(bitmap[i + 3] * 0.5);
+      }
+    }
+    
+    if (badge) {
+      const radius = Math.max(2, Math.floor(Math.min(size.width, size.height) / 4));
+      const centerX = size.width - radius - 1;
+      const centerY = size.height - radius - 1;
+      for (let y = centerY - radius; y <= centerY + radius; y++) {
+        for (let x = centerX - radius; x <= centerX + radius; x++) {
+          if ((x - centerX) ** 2 + (y - centerY) ** 2 > radius ** 2) continue;
+          const offset = (y * size.width + x) * 4;
+          badge.forEach((value, channel) => { bitmap[offset + channel] = value; });
+        }
+      }
+    }
+    
+    return nativeImage.createFromBitmap(bitmap, size);
+  } catch (error) {
+    console.error('❌ Could not create tray status icon:', error);
+    return null;
+  }
+}
+
 function getTrayIconPath() {
   // Try different icon paths based on platform
   const platform = process.platform;
@@ -288,7 +557,12 @@ function restoreWindowState(window, savedState) {
 
 module.exports = {
   createSummaryWindow,
+  createSettingsWindow,
+  createAuthWindow,
+  createHistoryWindow,
+  createSearchWindow,
   createTrayIcon,
+  updateTrayState,
   centerWindow,
   positionWindowNearCursor,
   saveWindowState,
@@ -0,0 +1,95 @@
+// src/xbel.js - Freedesktop recently-used.xbel parsing
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { fileURLToPath } = require('url');
+
+function getXbelPath() {
+    const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+    return path.join(dataHome, 'recently-used.xbel');
+}
+
+function decodeEntities(value) {
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const regex = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+
+    while ((match = regex.exec(source)) !== null) {
+        attributes[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+
+    return attributes;
+}
+
+function toTime(value) {
+    const time = value ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? 0 : time;
+}
+
+// Returns one entry per <bookmark>, local files only
+function parseXbel(xml) {
+    const bookmarks = [];
+    const bookmarkRegex = /<bookmark\s([^>]*?)(?:\/>|>([\s\S]*?)<\/bookmark>)/g;
+    let match;
+
+    while ((match = bookmarkRegex.exec(xml)) !== null) {
+        const attributes = parseAttributes(match[1]);
+        if (!attributes.href || !attributes.href.startsWith('file://')) continue;
+
+        let filePath;
+        try {
+            filePath = fileURLToPath(attributes.href);
+        } catch (error) {
+            continue;
+        }
+
+        const applications = [];
+        const appRegex = /<bookmark:application\s([^>]*?)\/?>/g;
+        let appMatch;
+        while ((appMatch = appRegex.exec(match[2] || '')) !== null) {
+            const appAttributes = parseAttributes(appMatch[1]);
+            applications.push({
+                name: appAttributes.name || 'Unknown',
+                exec: appAttributes.exec || '',
+                modified: toTime(appAttributes.modified),
+                count: Number(appAttributes.count) || 0
+            });
+        }
+
+        bookmarks.push({
+            href: attributes.href,
+            path: filePath,
+            added: toTime(attributes.added),
+            modified: toTime(attributes.modified),
+            visited: toTime(attributes.visited),
+            applications
+        });
+    }
+
+    return bookmarks;
+}
+
+async function readXbel(xbelPath = getXbelPath()) {
+    try {
+        return parseXbel(await fs.promises.readFile(xbelPath, 'utf8'));
+    } catch (error) {
+        return [];
+    }
+}
+
+module.exports = {
+    getXbelPath,
+    parseXbel,
+    readXbel
+};
@@ -0,0 +1,133 @@
+// test/ApiClient.test.js - Retries, backoff and circuit breaker against a stub axios adapter
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { logger } = require('../src/logger');
+const ApiClient = require('../src/ApiClient');
+
+// API calls are logged; keep the log files out of the repo
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'insightmint-logs-'));
+logger.options.logDir = logDir;
+test.after(() => fs.rmSync(logDir, { recursive: true, force: true }));
+
+// Each step is an HTTP status to answer with or an error code to fail with
+function stubAdapter(steps) {
+    const calls = [];
+    const adapter = async (config) => {
+        calls.push(config.url);
+        const step = steps[Math.min(calls.length - 1, steps.length - 1)];
+
+        if (typeof step === 'string') {
+            throw new axios.AxiosError(`stub ${step}`, step, config);
+        }
+        const response = { data: { ok: step < 400 }, status: step, statusText: String(step), headers: {}, config };
+        if (step >= 400) {
+            throw new axios.AxiosError(`Request failed with status code ${step}`, 'ERR_BAD_RESPONSE', config, null, response);
+        }
+        return response;
+    };
+    return { adapter, calls };
+}
+
+function createClient(options = {}) {
+    const client = new ApiClient({ retries: 2, retryDelay: 1, maxRetryDelay: 4, failureThreshold: 3, ...options });
+    client.setState('healthy');
+    return client;
+}
+
+test('retries transient failures and succeeds', async () => {
+    const client = createClient();
+    const { adapter, calls } = stubAdapter(['ECONNRESET', 503, 200]);
+
+    const response = await client.get('/summarize', { adapter });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(calls.length, 3);
+    assert.strictEqual(client.getStatus().consecutiveFailures, 0);
+    assert.strictEqual(client.state, 'healthy');
+});
+
+for (const code of ['ECONNABORTED', 'ENOTFOUND', 'ENETUNREACH', 'ERR_NETWORK']) {
+    test(`retries ${code} and counts it as a failure`, async () => {
+        const client = createClient({ failureThreshold: 10 });
+        const { adapter, calls } = stubAdapter([code]);
+
+        await assert.rejects(client.get('/summarize', { adapter }), { code });
+        assert.strictEqual(calls.length, 3);
+        assert.strictEqual(client.getStatus().consecutiveFailures, 3);
+        assert.strictEqual(client.state, 'degraded');
+    });
+}
+
+test('an error without an answer is never taken as a sign of health', async () => {
+    const client = createClient({ failureThreshold: 10 });
+    client.consecutiveFailures = 2;
+    const { adapter, calls } = stubAdapter(['ESOMETHINGELSE']);
+
+    await assert.rejects(client.get('/summarize', { adapter }), { code: 'ESOMETHINGELSE' });
+    assert.strictEqual(calls.length, 1, 'unknown errors are not retried');
+    assert.strictEqual(client.getStatus().consecutiveFailures, 3);
+});
+
+test('a client error is not retried and shows the service is up', async () => {
+    const client = createClient();
+    client.consecutiveFailures = 2;
+    const { adapter, calls } = stubAdapter([400]);
+
+    await assert.rejects(client.get('/summarize', { adapter }), error => error.response.status === 400);
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(client.getStatus().consecutiveFailures, 0);
+});
+
+test('backs off exponentially with jitter, up to the maximum', () => {
+    const client = createClient({ retryDelay: 100, maxRetryDelay: 1000 });
+    for (let i = 0; i < 20; i++) {
+        const first = client.getRetryDelay(0);
+        const third = client.getRetryDelay(2);
+        const capped = client.getRetryDelay(10);
+        assert.ok(first >= 50 && first <= 100, `attempt 0: ${first}`);
+        assert.ok(third >= 200 && third <= 400, `attempt 2: ${third}`);
+        assert.ok(capped >= 500 && capped <= 1000, `attempt 10: ${capped}`);
+    }
+});
+
+test('opens the circuit after repeated failures, then lets one trial through', async () => {
+    const client = createClient({ retries: 0, failureThreshold: 2, resetTimeout: 30 });
+    const failing = stubAdapter(['ECONNREFUSED']);
+
+    await assert.rejects(client.get('/a', { adapter: failing.adapter }), { code: 'ECONNREFUSED' });
+    assert.strictEqual(client.breaker, 'closed');
+    await assert.rejects(client.get('/a', { adapter: failing.adapter }), { code: 'ECONNREFUSED' });
+    assert.strictEqual(client.breaker, 'open');
+    assert.strictEqual(client.state, 'down');
+    assert.strictEqual(client.isAvailable(), false);
+
+    // Open: refused without a request
+    await assert.rejects(client.get('/a', { adapter: failing.adapter }), { code: 'ECIRCUITOPEN' });
+    assert.strictEqual(failing.calls.length, 2);
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+    const working = stubAdapter([200]);
+    const trial = client.get('/a', { adapter: working.adapter });
+    assert.strictEqual(client.breaker, 'half-open');
+    await assert.rejects(client.get('/a', { adapter: working.adapter }), { code: 'ECIRCUITOPEN' }, 'only one trial at a time');
+
+    await trial;
+    assert.strictEqual(client.breaker, 'closed');
+    assert.strictEqual(client.state, 'healthy');
+});
+
+test('a failed trial opens the circuit again', async () => {
+    const client = createClient({ retries: 3, failureThreshold: 1, resetTimeout: 0 });
+    const { adapter, calls } = stubAdapter(['ECONNABORTED']);
+
+    await assert.rejects(client.get('/a', { adapter }), { code: 'ECONNABORTED' });
+    assert.strictEqual(calls.length, 1, 'no retries once the circuit is open');
+    assert.strictEqual(client.breaker, 'open');
+
+    await assert.rejects(client.get('/a', { adapter }), { code: 'ECONNABORTED' });
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(client.breaker, 'open');
+});
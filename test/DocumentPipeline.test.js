@@ -0,0 +1,195 @@
+// test/DocumentPipeline.test.js - Scripted detections through sessions, privacy rules, download offers and the queue
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileAccessMonitor = require('../src/FileAccessMonitor');
+const DocumentPipeline = require('../src/DocumentPipeline');
+const PrivacyRules = require('../src/PrivacyRules');
+const ProcessingQueue = require('../src/ProcessingQueue');
+const { BUILTIN_DETECTORS } = require('../src/detectors');
+
+function createDocuments(t, fileNames) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'insightmint-pipeline-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const paths = {};
+    fileNames.forEach(fileName => {
+        paths[fileName] = path.join(directory, fileName);
+        fs.writeFileSync(paths[fileName], `Contents of ${fileName}`);
+    });
+    return paths;
+}
+
+// Records what reached each stage; waitForSummaries resolves once that many jobs ran
+function createPipeline(options = {}) {
+    const calls = { summarized: [], asked: [], offered: [], access: [] };
+    const waiting = [];
+
+    const pipeline = new DocumentPipeline({
+        queue: new ProcessingQueue({ concurrency: 1 }),
+        privacyRules: () => new PrivacyRules(),
+        processDelay: 0,
+        summarize: async (job, filePath, metadata) => {
+            calls.summarized.push({ filePath, metadata });
+            waiting.filter(wait => calls.summarized.length >= wait.count).forEach(wait => wait.resolve());
+        },
+        askPrivacy: async (filePath) => {
+            calls.asked.push(path.basename(filePath));
+            return 'skipped';
+        },
+        offerDownload: async (fileInfo) => {
+            calls.offered.push(fileInfo.fileName);
+            return false;
+        },
+        logAccess: (entry) => calls.access.push(entry),
+        ...options
+    });
+
+    const waitForSummaries = count => new Promise(resolve => {
+        waiting.push({ count, resolve });
+    });
+    return { pipeline, calls, waitForSummaries };
+}
+
+function createMonitor(t, script) {
+    const detectors = {};
+    Object.keys(BUILTIN_DETECTORS).forEach(name => {
+        detectors[name] = { enabled: false };
+    });
+    detectors.scripted = { enabled: true, script };
+
+    const monitor = new FileAccessMonitor({
+        debugMode: false,
+        detectors,
+        sessionSettleDelay: 100,
+        resolvePaths: false,
+        useHelper: false
+    });
+    t.after(() => monitor.stop());
+    return monitor;
+}
+
+test('only documents the privacy rules allow reach the queue', async (t) => {
+    const paths = createDocuments(t, ['report.pdf', 'payroll-2024.pdf', 'contract.docx', 'notes.txt']);
+    const monitor = createMonitor(t, [
+        { delay: 20, fullPath: paths['report.pdf'], readerApplication: 'Document Viewer', processName: 'evince' },
+        { delay: 20, fullPath: paths['report.pdf'], source: 'Recent Files Monitor' },
+        { fullPath: paths['payroll-2024.pdf'] },
+        { fullPath: paths['contract.docx'] },
+        { fullPath: paths['notes.txt'] },
+        { fullPath: path.join(path.dirname(paths['report.pdf']), 'deleted.pdf') }
+    ]);
+    const { pipeline, calls, waitForSummaries } = createPipeline();
+    pipeline.attach(monitor);
+
+    const summarized = waitForSummaries(1);
+    await monitor.startAdvancedMonitoring();
+    await summarized;
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    // One session for both report.pdf detections, summarized once
+    assert.strictEqual(calls.summarized.length, 1);
+    const [{ filePath, metadata }] = calls.summarized;
+    assert.strictEqual(filePath, paths['report.pdf']);
+    assert.strictEqual(metadata.detectedBy, 'Document Viewer');
+    assert.strictEqual(metadata.source, 'Scripted Detector, Recent Files Monitor');
+    assert.strictEqual(metadata.processInfo, 'evince (Scripted)');
+
+    // "contract" asks first; "payroll" is denied without asking
+    assert.deepStrictEqual(calls.asked, ['contract.docx']);
+    const decisions = calls.access
+        .filter(entry => entry.privacyAction)
+        .map(entry => `${entry.fileName} ${entry.privacyAction}`)
+        .sort();
+    assert.deepStrictEqual(decisions, ['contract.docx skipped', 'payroll-2024.pdf blocked']);
+
+    // Every document session is logged, whether summarized or not
+    const opened = calls.access.filter(entry => entry.sessionId).map(entry => entry.fileName).sort();
+    assert.deepStrictEqual(opened, ['contract.docx', 'deleted.pdf', 'notes.txt', 'payroll-2024.pdf', 'report.pdf']);
+});
+
+test('a declined download is summarized once a reader opens it', async (t) => {
+    const paths = createDocuments(t, ['download.pdf']);
+    const monitor = createMonitor(t, [
+        { delay: 20, fullPath: paths['download.pdf'], source: 'Download' },
+        { delay: 300, fullPath: paths['download.pdf'], readerApplication: 'Document Viewer', source: 'Recent Files Monitor' }
+    ]);
+    const { pipeline, calls, waitForSummaries } = createPipeline();
+    pipeline.attach(monitor);
+
+    const summarized = waitForSummaries(1);
+    await monitor.startAdvancedMonitoring();
+    await summarized;
+
+    assert.deepStrictEqual(calls.offered, ['download.pdf']);
+    assert.strictEqual(calls.summarized[0].filePath, paths['download.pdf']);
+    assert.strictEqual(calls.summarized[0].metadata.source, 'Download, Recent Files Monitor');
+    assert.strictEqual(pipeline.declinedDownloads.size, 0);
+});
+
+test('a reader opening a download while it is offered closes the offer and summarizes it', async (t) => {
+    const paths = createDocuments(t, ['download.pdf']);
+    const monitor = createMonitor(t, [
+        { delay: 20, fullPath: paths['download.pdf'], source: 'Download' },
+        { delay: 300, fullPath: paths['download.pdf'], source: 'Recent Files Monitor' }
+    ]);
+    const { pipeline, calls, waitForSummaries } = createPipeline({
+        // Like the dialog: open until answered or closed by the signal
+        offerDownload: (fileInfo, signal) => new Promise(resolve => {
+            calls.offered.push(fileInfo.fileName);
+            signal.addEventListener('abort', () => resolve(false));
+        })
+    });
+    pipeline.attach(monitor);
+
+    const summarized = waitForSummaries(1);
+    await monitor.startAdvancedMonitoring();
+    await summarized;
+
+    assert.deepStrictEqual(calls.offered, ['download.pdf']);
+    assert.strictEqual(calls.summarized.length, 1);
+    assert.strictEqual(pipeline.downloadOffers.size, 0);
+});
+
+test('sessions that settle while paused are ignored', async (t) => {
+    const paths = createDocuments(t, ['report.pdf']);
+    const monitor = createMonitor(t, [{ delay: 20, fullPath: paths['report.pdf'] }]);
+    const { pipeline, calls } = createPipeline({ isPaused: () => true });
+    pipeline.attach(monitor);
+
+    await monitor.startAdvancedMonitoring();
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    assert.strictEqual(monitor.getOpenDocuments().length, 1);
+    assert.deepStrictEqual(calls.access, []);
+    assert.deepStrictEqual(calls.summarized, []);
+});
+
+test('a file already queued is not checked or summarized twice, but a manual request moves it ahead', async (t) => {
+    const paths = createDocuments(t, ['contract.docx', 'report.pdf']);
+    const queue = new ProcessingQueue({ concurrency: 1 });
+    let release;
+    const blocker = queue.add('blocker', () => new Promise(resolve => { release = resolve; }));
+    const { pipeline, calls } = createPipeline({
+        queue,
+        askPrivacy: async (filePath) => {
+            calls.asked.push(path.basename(filePath));
+            return 'allowed';
+        }
+    });
+
+    const first = pipeline.processFile(paths['report.pdf'], { source: 'Recent Files Monitor' });
+    const contract = pipeline.processFile(paths['contract.docx'], { source: 'Recent Files Monitor' });
+    await new Promise(resolve => setImmediate(resolve));
+    await pipeline.processFile(paths['contract.docx'], { source: 'File Association' });
+    assert.deepStrictEqual(queue.getJobs().filter(job => job.status === 'queued').map(job => job.label),
+        ['contract.docx', 'report.pdf']);
+
+    release();
+    await Promise.all([blocker.promise, first, contract]);
+
+    assert.deepStrictEqual(calls.asked, ['contract.docx']);
+    assert.deepStrictEqual(calls.summarized.map(({ filePath }) => path.basename(filePath)), ['contract.docx', 'report.pdf']);
+});
@@ -0,0 +1,178 @@
+// test/DocumentSessionTracker.test.js - Merging detections into sessions, confidence, and how sessions end
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const DocumentSessionTracker = require('../src/DocumentSessionTracker');
+
+function detection(fileName, processId, source = 'Window Title Analysis') {
+    return { fileName, fullPath: DocumentSessionTracker.UNKNOWN_PATH, extension: '.pdf', processId, source };
+}
+
+function pathDetection(fullPath, source, processId) {
+    return { fileName: path.basename(fullPath), fullPath, extension: path.extname(fullPath), processId, source };
+}
+
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 30));
+}
+
+async function createTracker(t, detections) {
+    const tracker = new DocumentSessionTracker({ settleDelay: 10 });
+    t.after(() => tracker.clear());
+
+    const started = [];
+    const ended = [];
+    tracker.on('sessionStarted', session => started.push(session));
+    tracker.on('sessionEnded', session => ended.push(`${session.fileName} (${session.reason})`));
+    detections.forEach(fileInfo => tracker.record(fileInfo));
+    await settle();
+    return { tracker, started, ended };
+}
+
+test('detections of one path from several sources merge into one session', async (t) => {
+    const report = path.resolve('docs', 'report.pdf');
+    const { tracker, started } = await createTracker(t, [
+        pathDetection(report, 'Recent Files Monitor'),
+        detection('report.pdf', 100),
+        pathDetection(report, 'Recent Files Monitor'),
+        pathDetection(report, 'Process Analysis', 100)
+    ]);
+
+    assert.strictEqual(started.length, 1);
+    const [session] = started;
+    assert.strictEqual(session.fullPath, report);
+    assert.deepStrictEqual(session.sources, ['Recent Files Monitor', 'Window Title Analysis', 'Process Analysis']);
+    assert.strictEqual(session.detectionCount, 4);
+    // The strongest source supplies the details
+    assert.strictEqual(session.source, 'Process Analysis');
+    assert.strictEqual(tracker.getSessions().length, 1);
+});
+
+test('a title-only session takes the path once one turns up', async (t) => {
+    const report = path.resolve('docs', 'report.pdf');
+    const { tracker, started } = await createTracker(t, [
+        detection('Report.pdf', 100),
+        pathDetection(report, 'File Handle Monitor', 100)
+    ]);
+
+    assert.strictEqual(started.length, 1);
+    assert.strictEqual(started[0].fullPath, report);
+    assert.deepStrictEqual(tracker.getSessions().map(session => session.fullPath), [report]);
+});
+
+test('different paths stay separate sessions, even with the same file name', async (t) => {
+    const { started } = await createTracker(t, [
+        pathDetection(path.resolve('a', 'report.pdf'), 'Recent Files Monitor'),
+        pathDetection(path.resolve('b', 'report.pdf'), 'Recent Files Monitor'),
+        pathDetection(path.resolve('a', 'notes.docx'), 'Recent Files Monitor')
+    ]);
+
+    assert.deepStrictEqual(started.map(session => session.fullPath).sort(), [
+        path.resolve('a', 'notes.docx'),
+        path.resolve('a', 'report.pdf'),
+        path.resolve('b', 'report.pdf')
+    ].sort());
+    assert.strictEqual(new Set(started.map(session => session.sessionId)).size, 3);
+});
+
+test('confidence combines the sources as independent evidence', async (t) => {
+    const { started } = await createTracker(t, [
+        pathDetection(path.resolve('one.pdf'), 'Window Title Analysis'),
+        pathDetection(path.resolve('two.pdf'), 'Recent Files Monitor'),
+        pathDetection(path.resolve('two.pdf'), 'Window Title Analysis'),
+        pathDetection(path.resolve('two.pdf'), 'Window Title Analysis'),
+        pathDetection(path.resolve('three.pdf'), 'Some New Detector')
+    ]);
+
+    const confidence = Object.fromEntries(started.map(session => [session.fileName, session.confidence]));
+    assert.deepStrictEqual(confidence, {
+        'one.pdf': 0.6,
+        // 1 - (1 - 0.7) * (1 - 0.6); repeating a source adds nothing
+        'two.pdf': 0.88,
+        // Unknown sources get the default weight
+        'three.pdf': 0.5
+    });
+});
+
+test('sessions emit started, updated, focused and ended in order', async (t) => {
+    const report = path.resolve('report.pdf');
+    const tracker = new DocumentSessionTracker({ settleDelay: 10 });
+    t.after(() => tracker.clear());
+
+    const events = [];
+    ['sessionStarted', 'sessionUpdated', 'sessionFocused', 'sessionEnded'].forEach(name => {
+        tracker.on(name, session => events.push({ name, ...session }));
+    });
+
+    tracker.record(pathDetection(report, 'Recent Files Monitor'));
+    tracker.record(pathDetection(report, 'Process Analysis', 100));
+    // Nothing is emitted until the detections settle
+    assert.deepStrictEqual(events, []);
+    await settle();
+
+    tracker.record(pathDetection(report, 'Process Analysis', 100)); // Known source: no update
+    tracker.record(detection('report.pdf', 100));
+    tracker.focus({ fileName: 'report.pdf', windowTitle: 'report.pdf - Reader' });
+    tracker.focus({ fileName: 'report.pdf', windowTitle: 'report.pdf - Reader' }); // Already focused
+    tracker.close({ fullPath: report });
+
+    assert.deepStrictEqual(events.map(event => event.name),
+        ['sessionStarted', 'sessionUpdated', 'sessionFocused', 'sessionEnded']);
+    assert.ok(events.every(event => event.sessionId === events[0].sessionId));
+    assert.deepStrictEqual(events[1].sources, ['Recent Files Monitor', 'Process Analysis', 'Window Title Analysis']);
+    assert.strictEqual(events[2].windowTitle, 'report.pdf - Reader');
+    assert.strictEqual(events[3].reason, 'closed');
+    assert.ok(events[3].durationMs >= 0);
+    assert.deepStrictEqual(tracker.getSessions(), []);
+});
+
+test('a session that ends before it settles is never reported', async (t) => {
+    const { tracker, started, ended } = await createTracker(t, []);
+
+    tracker.record(detection('brief.pdf', 100));
+    tracker.close({ fileName: 'brief.pdf' });
+    await settle();
+
+    assert.deepStrictEqual(started, []);
+    assert.deepStrictEqual(ended, []);
+});
+
+test('a title moving to another document ends the sessions only that window showed', async (t) => {
+    const { tracker, ended } = await createTracker(t, [
+        detection('a.pdf', 100),
+        detection('b.pdf', 100),
+        detection('held.pdf', 100, 'File Handle Monitor'),
+        detection('shared.pdf', 100),
+        detection('shared.pdf', 200),
+        detection('other.pdf', 200)
+    ]);
+
+    tracker.leaveWindow(100, ['b.pdf']);
+
+    assert.deepStrictEqual(ended, ['a.pdf (window-changed)']);
+    assert.deepStrictEqual(tracker.getSessions().map(session => session.fileName).sort(),
+        ['b.pdf', 'held.pdf', 'other.pdf', 'shared.pdf']);
+});
+
+test('a title naming no document ends what the window showed', async (t) => {
+    const { tracker, ended } = await createTracker(t, [detection('a.pdf', 100)]);
+
+    tracker.leaveWindow(100, []);
+    assert.deepStrictEqual(ended, ['a.pdf (window-changed)']);
+    assert.deepStrictEqual(tracker.getSessions(), []);
+});
+
+test('an expired session is reported as expired, not closed', async (t) => {
+    const { tracker, ended } = await createTracker(t, [detection('stale.pdf')]);
+
+    const expired = [];
+    tracker.on('sessionExpired', session => expired.push(session));
+    tracker.prune(Date.now() + tracker.options.sessionWindow + 1);
+
+    assert.deepStrictEqual(ended, []);
+    assert.strictEqual(expired.length, 1);
+    assert.strictEqual(expired[0].fileName, 'stale.pdf');
+    assert.strictEqual(expired[0].reason, 'expired');
+    assert.strictEqual(expired[0].durationMs, undefined);
+    assert.deepStrictEqual(tracker.getSessions(), []);
+});
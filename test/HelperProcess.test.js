@@ -0,0 +1,144 @@
+// test/HelperProcess.test.js - Line protocol, restarts and failure handling against a stand-in helper
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { once } = require('events');
+const HelperProcess = require('../src/HelperProcess');
+
+const FAKE_HELPER = path.join(__dirname, 'fixtures', 'fake-helper.js');
+
+function createHelper(t, options = {}, env = {}) {
+    const helper = new HelperProcess({
+        command: process.execPath,
+        args: [FAKE_HELPER],
+        env: { ...process.env, ...env },
+        requestTimeout: 2000,
+        restartDelay: 20,
+        ...options
+    });
+    t.after(() => helper.stop());
+    return helper;
+}
+
+test('answers requests in order, matched by id', async (t) => {
+    const helper = createHelper(t);
+    const results = await Promise.all([
+        helper.request('echo', { n: 1 }),
+        helper.request('echo', { n: 2 }),
+        helper.request('echo', { name: 'a$(calc).pdf' })
+    ]);
+
+    assert.deepStrictEqual(results, [{ n: 1 }, { n: 2 }, { name: 'a$(calc).pdf' }]);
+    assert.strictEqual(helper.getStatus().pending, 0);
+});
+
+test('reports ok: false answers as EHELPER errors', async (t) => {
+    const helper = createHelper(t);
+    await assert.rejects(helper.request('fail'), { code: 'EHELPER', message: 'requested failure' });
+});
+
+test('skips invalid JSON lines and keeps going', async (t) => {
+    const helper = createHelper(t);
+    const protocolErrors = [];
+    helper.on('protocolError', error => protocolErrors.push(error));
+
+    assert.strictEqual(await helper.request('garbage'), 'after garbage');
+    assert.strictEqual(protocolErrors.length, 1);
+    assert.match(protocolErrors[0].message, /this is not json/);
+    assert.deepStrictEqual(await helper.request('echo', { ok: 1 }), { ok: 1 });
+});
+
+test('times out requests with ETIMEDOUT', async (t) => {
+    const helper = createHelper(t, { requestTimeout: 100 });
+    await assert.rejects(helper.request('hang'), { code: 'ETIMEDOUT' });
+    assert.strictEqual(helper.getStatus().pending, 0);
+});
+
+test('refuses requests with EBUSY once maxPending are in flight', async (t) => {
+    const helper = createHelper(t, { maxPending: 2, requestTimeout: 300, maxTimeouts: 10 });
+    const hanging = [helper.request('hang'), helper.request('hang')];
+
+    await assert.rejects(helper.request('echo'), { code: 'EBUSY' });
+    await Promise.allSettled(hanging);
+    assert.deepStrictEqual(await helper.request('echo', { again: true }), { again: true });
+});
+
+test('restarts a helper that stays alive but stops answering', async (t) => {
+    const helper = createHelper(t, { requestTimeout: 100, maxTimeouts: 2 });
+    const unresponsive = once(helper, 'unresponsive');
+    const restarted = once(helper, 'restart');
+
+    await assert.rejects(helper.request('hang'), { code: 'ETIMEDOUT' });
+    await assert.rejects(helper.request('hang'), { code: 'ETIMEDOUT' });
+    assert.deepStrictEqual(await unresponsive, [2]);
+    await restarted;
+
+    // Leave the fresh process time to boot on a slow machine
+    helper.options.requestTimeout = 2000;
+    assert.deepStrictEqual(await helper.request('echo', { back: true }), { back: true });
+});
+
+test('restarts after a crash and rejects the requests in flight', async (t) => {
+    const helper = createHelper(t);
+    const firstPid = (await Promise.all([once(helper, 'start'), helper.request('echo')]))[0][0];
+
+    await assert.rejects(helper.request('crash'), { code: 'EHELPEREXIT' });
+    const [attempt] = await once(helper, 'restart');
+    assert.strictEqual(attempt, 1);
+
+    assert.deepStrictEqual(await helper.request('echo', { n: 1 }), { n: 1 });
+    assert.notStrictEqual(helper.getStatus().pid, firstPid);
+    assert.strictEqual(helper.getStatus().restarts, 0, 'a good answer resets the crash count');
+});
+
+test('refuses requests while waiting to restart instead of respawning early', async (t) => {
+    const helper = createHelper(t, { restartDelay: 300 });
+    const starts = [];
+    helper.on('start', pid => starts.push(pid));
+
+    await helper.request('echo');
+    await assert.rejects(helper.request('crash'), { code: 'EHELPEREXIT' });
+
+    for (let i = 0; i < 3; i++) {
+        await assert.rejects(helper.request('echo'), { code: 'EHELPEREXIT', message: 'Helper process is restarting' });
+    }
+    assert.strictEqual(starts.length, 1);
+
+    await once(helper, 'restart');
+    helper.options.requestTimeout = 2000;
+    assert.deepStrictEqual(await helper.request('echo', { back: true }), { back: true });
+    assert.strictEqual(starts.length, 2);
+});
+
+test('backs off between restarts and fails after maxRestarts', async (t) => {
+    const helper = createHelper(t, { restartDelay: 40, maxRestarts: 3 }, { FAKE_HELPER_EXIT_ON_START: '1' });
+    const restartTimes = [];
+    const exitTimes = [];
+    helper.on('exit', () => exitTimes.push(Date.now()));
+    helper.on('restart', () => restartTimes.push(Date.now()));
+
+    const failed = once(helper, 'failed');
+    helper.start();
+    const [error] = await failed;
+
+    assert.match(error.message, /crashed 3 times/);
+    assert.strictEqual(restartTimes.length, 3);
+    // 40ms, 80ms, 160ms: each wait at least the doubled delay
+    [40, 80, 160].forEach((delay, i) => {
+        assert.ok(restartTimes[i] - exitTimes[i] >= delay - 5, `restart ${i + 1} waited ${restartTimes[i] - exitTimes[i]}ms`);
+    });
+    assert.strictEqual(helper.getStatus().failed, true);
+    await assert.rejects(helper.request('echo'), { code: 'EHELPERFAILED' });
+});
+
+test('queues writes while the helper is not reading and sends them after drain', async (t) => {
+    const helper = createHelper(t, { requestTimeout: 5000 }, { FAKE_HELPER_READ_DELAY: '300' });
+    const big = 'x'.repeat(512 * 1024);
+
+    const requests = [1, 2, 3, 4].map(n => helper.request('echo', { n, big }));
+    assert.ok(helper.getStatus().queuedWrites > 0, 'later requests wait for drain');
+
+    const results = await Promise.all(requests);
+    assert.deepStrictEqual(results.map(result => result.n), [1, 2, 3, 4]);
+    assert.strictEqual(helper.getStatus().queuedWrites, 0);
+});
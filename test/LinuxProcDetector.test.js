@@ -0,0 +1,103 @@
+// test/LinuxProcDetector.test.js - Sessions end when a reader's file descriptor for a document goes away
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileAccessMonitor = require('../src/FileAccessMonitor');
+const { BUILTIN_DETECTORS } = require('../src/detectors');
+
+const REPORT = '/home/me/Documents/report.pdf';
+
+// A fake /proc: one directory per process with comm, cmdline and fd symlinks
+function createProcRoot(t) {
+    const procRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'insightmint-proc-'));
+    t.after(() => fs.rmSync(procRoot, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(procRoot, 'self'));
+
+    return {
+        procRoot,
+        addProcess(pid, name) {
+            fs.mkdirSync(path.join(procRoot, String(pid), 'fd'), { recursive: true });
+            fs.writeFileSync(path.join(procRoot, String(pid), 'comm'), `${name}\n`);
+            fs.writeFileSync(path.join(procRoot, String(pid), 'cmdline'), `/usr/bin/${name}\0`);
+        },
+        removeProcess(pid) {
+            fs.rmSync(path.join(procRoot, String(pid)), { recursive: true, force: true });
+        },
+        openFile(pid, fd, filePath) {
+            fs.symlinkSync(filePath, path.join(procRoot, String(pid), 'fd', String(fd)));
+        },
+        closeFile(pid, fd) {
+            fs.unlinkSync(path.join(procRoot, String(pid), 'fd', String(fd)));
+        }
+    };
+}
+
+function createMonitor(t, procRoot) {
+    const detectors = {};
+    Object.keys(BUILTIN_DETECTORS).forEach(name => {
+        detectors[name] = { enabled: false };
+    });
+    detectors['linux-proc'] = { procRoot, handleInterval: 0 };
+
+    const monitor = new FileAccessMonitor({
+        debugMode: false,
+        detectors,
+        sessionSettleDelay: 20,
+        useHelper: false
+    });
+    t.after(() => monitor.sessions.clear());
+
+    const events = [];
+    monitor.on('fileOpened', fileInfo => events.push(`opened ${fileInfo.fileName}`));
+    monitor.on('fileClosed', fileInfo => events.push(`closed ${fileInfo.fileName} (${fileInfo.reason})`));
+
+    const detector = monitor.getDetector('linux-proc');
+    const poll = async () => {
+        await detector.poll();
+        await new Promise(resolve => setTimeout(resolve, 40));
+    };
+    return { monitor, events, poll };
+}
+
+const skip = process.platform !== 'linux' && 'needs Linux symlinks';
+
+test('a document whose descriptor is closed ends its session', { skip }, async (t) => {
+    const proc = createProcRoot(t);
+    const { monitor, events, poll } = createMonitor(t, proc.procRoot);
+    proc.addProcess(4242, 'evince');
+    proc.openFile(4242, 7, REPORT);
+
+    await poll();
+    await poll();
+    assert.deepStrictEqual(events, ['opened report.pdf']);
+
+    proc.closeFile(4242, 7);
+    await poll();
+    assert.deepStrictEqual(events, ['opened report.pdf', 'closed report.pdf (handle-closed)']);
+    assert.deepStrictEqual(monitor.getOpenDocuments(), []);
+
+    // Opening it again is a new session
+    proc.openFile(4242, 9, REPORT);
+    await poll();
+    assert.deepStrictEqual(events.slice(2), ['opened report.pdf']);
+});
+
+test('a document stays open while another reader still has it', { skip }, async (t) => {
+    const proc = createProcRoot(t);
+    const { events, poll } = createMonitor(t, proc.procRoot);
+    proc.addProcess(4242, 'evince');
+    proc.addProcess(4343, 'okular');
+    proc.openFile(4242, 7, REPORT);
+    proc.openFile(4343, 5, REPORT);
+    await poll();
+
+    proc.closeFile(4242, 7);
+    await poll();
+    assert.deepStrictEqual(events, ['opened report.pdf']);
+
+    proc.removeProcess(4343);
+    await poll();
+    assert.deepStrictEqual(events, ['opened report.pdf', 'closed report.pdf (process-exited)']);
+});
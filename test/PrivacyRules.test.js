@@ -0,0 +1,40 @@
+// test/PrivacyRules.test.js - Rule precedence
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const PrivacyRules = require('../src/PrivacyRules');
+
+const DOCUMENTS = path.resolve('/home/u/Documents');
+
+function createRules(rules) {
+    return new PrivacyRules({
+        rules: {
+            ...PrivacyRules.DEFAULT_RULES,
+            allow: { folders: [DOCUMENTS] },
+            ...rules
+        }
+    });
+}
+
+test('deny rules win over an allowed folder', () => {
+    const rules = createRules();
+
+    assert.deepStrictEqual(rules.check(path.join(DOCUMENTS, 'HR', 'report.pdf')), { action: 'deny', rule: 'deny.globs: **/HR/**' });
+    assert.deepStrictEqual(rules.check(path.join(DOCUMENTS, 'payslip.pdf')), { action: 'deny', rule: 'deny.keywords: payslip' });
+});
+
+test('allow rules override ask rules and the default action', () => {
+    const rules = createRules({ defaultAction: 'ask' });
+
+    assert.strictEqual(rules.check(path.join(DOCUMENTS, 'contract.pdf')).action, 'allow');
+    assert.strictEqual(rules.check(path.join(DOCUMENTS, 'notes.pdf')).action, 'allow');
+    assert.deepStrictEqual(rules.check(path.resolve('/tmp/contract.pdf')), { action: 'ask', rule: 'ask.keywords: contract' });
+    assert.deepStrictEqual(rules.check(path.resolve('/tmp/notes.pdf')), { action: 'ask', rule: null });
+});
+
+test('application rules match the reader', () => {
+    const rules = createRules({ deny: { applications: ['KeePassXC'] } });
+
+    assert.strictEqual(rules.check(path.join(DOCUMENTS, 'notes.pdf'), { readerApplication: 'keepassxc' }).action, 'deny');
+    assert.strictEqual(rules.check(path.join(DOCUMENTS, 'notes.pdf'), { readerApplication: 'Okular' }).action, 'allow');
+});
@@ -0,0 +1,92 @@
+// test/ProcessingQueue.test.js - Deduplication, replacement and per-key ordering
+const test = require('node:test');
+const assert = require('node:assert');
+const ProcessingQueue = require('../src/ProcessingQueue');
+
+// A task that runs until release() is called or the job is cancelled
+function heldTask(log, name) {
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    const task = (job) => {
+        log.push(`start ${name}`);
+        return new Promise((resolve, reject) => {
+            released.then(() => resolve(name));
+            job.signal.addEventListener('abort', () => {
+                log.push(`abort ${name}`);
+                reject(new Error('aborted'));
+            });
+        });
+    };
+    return { task, release };
+}
+
+test('adding a key that is already queued or running returns that job', async () => {
+    const queue = new ProcessingQueue({ concurrency: 1 });
+    const log = [];
+    const first = heldTask(log, 'first');
+
+    const job = queue.add('a', first.task);
+    assert.strictEqual(queue.add('a', heldTask(log, 'second').task), job);
+
+    first.release();
+    assert.strictEqual(await job.promise, 'first');
+    assert.deepStrictEqual(log, ['start first']);
+});
+
+test('replace gives a queued job the new task', async () => {
+    const queue = new ProcessingQueue({ concurrency: 1 });
+    const log = [];
+    const blocker = heldTask(log, 'blocker');
+    queue.add('other', blocker.task);
+
+    const job = queue.add('a', heldTask(log, 'old').task);
+    const fresh = heldTask(log, 'fresh');
+    assert.strictEqual(queue.add('a', fresh.task, { replace: true }), job);
+
+    blocker.release();
+    fresh.release();
+    assert.strictEqual(await job.promise, 'fresh');
+    assert.deepStrictEqual(log, ['start blocker', 'start fresh']);
+});
+
+test('replace cancels a running job and runs the new one after it settles', async () => {
+    const queue = new ProcessingQueue({ concurrency: 2 });
+    const log = [];
+
+    const old = queue.add('a', heldTask(log, 'old').task);
+    const fresh = heldTask(log, 'fresh');
+    const job = queue.add('a', fresh.task, { replace: true });
+
+    assert.notStrictEqual(job, old);
+    await assert.rejects(old.promise, { code: 'ECANCELLED' });
+    assert.strictEqual(old.replaced, true);
+
+    fresh.release();
+    assert.strictEqual(await job.promise, 'fresh');
+    assert.deepStrictEqual(log, ['start old', 'abort old', 'start fresh']);
+});
+
+test('a queued job waits while another job for its key runs, without holding up other keys', async () => {
+    const queue = new ProcessingQueue({ concurrency: 2 });
+    const log = [];
+    // Slow to notice the cancellation
+    let finishOld;
+    const oldJob = queue.add('a', () => new Promise(resolve => {
+        log.push('start old');
+        finishOld = resolve;
+    }));
+    const fresh = heldTask(log, 'fresh');
+    const other = heldTask(log, 'other');
+
+    const freshJob = queue.add('a', fresh.task, { replace: true });
+    const otherJob = queue.add('b', other.task);
+    other.release();
+    await otherJob.promise;
+    assert.deepStrictEqual(log, ['start old', 'start other']);
+
+    finishOld();
+    await assert.rejects(oldJob.promise, { code: 'ECANCELLED' });
+    fresh.release();
+    assert.strictEqual(await freshJob.promise, 'fresh');
+    assert.deepStrictEqual(log, ['start old', 'start other', 'start fresh']);
+});
@@ -0,0 +1,57 @@
+// test/ReaderRegistry.test.js - The user's readers.json on top of the built-in readers
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ReaderRegistry = require('../src/ReaderRegistry');
+
+function createConfigFile(t, config) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'insightmint-readers-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const configFile = path.join(directory, 'readers.json');
+    if (config) {
+        fs.writeFileSync(configFile, JSON.stringify(config));
+    }
+    return configFile;
+}
+
+test('first run writes an empty list to edit and keeps the built-ins in code', (t) => {
+    const configFile = createConfigFile(t);
+    const registry = new ReaderRegistry({ configFile });
+
+    const written = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    assert.deepStrictEqual(written.readers, []);
+    assert.match(written._comment, /built-in/);
+
+    assert.strictEqual(registry.getReaders({ includeDisabled: true }).length, ReaderRegistry.DEFAULT_READERS.length);
+    assert.strictEqual(registry.getDisplayName('AcroRd32.exe'), 'Adobe Acrobat Reader');
+});
+
+test('file entries add readers, replace built-ins by id and can turn them off', (t) => {
+    const configFile = createConfigFile(t, {
+        readers: [
+            { id: 'sumatra', name: 'SumatraPDF', processNames: ['SumatraPDF.exe'], titlePatterns: ['^(?<file>.+?\\.pdf) - SumatraPDF$'] },
+            { id: 'adobe-acrobat-reader', name: 'Acrobat Reader DC' },
+            { id: 'microsoft-word', enabled: false }
+        ]
+    });
+    const registry = new ReaderRegistry({ configFile });
+
+    assert.strictEqual(registry.getReaders({ includeDisabled: true }).length, ReaderRegistry.DEFAULT_READERS.length + 1);
+    assert.deepStrictEqual(registry.extractFileNames('lease.pdf - SumatraPDF', 'SumatraPDF.exe'), ['lease.pdf']);
+
+    // Fields the entry leaves out come from the built-in one
+    assert.strictEqual(registry.getDisplayName('AcroRd32.exe'), 'Acrobat Reader DC');
+    assert.strictEqual(registry.isReaderProcess('WINWORD.EXE'), false);
+});
+
+test('an unreadable file leaves the built-ins in place', (t) => {
+    const configFile = createConfigFile(t);
+    fs.writeFileSync(configFile, '{ "readers": [');
+
+    const registry = new ReaderRegistry({ configFile });
+    assert.strictEqual(registry.getReaders({ includeDisabled: true }).length, ReaderRegistry.DEFAULT_READERS.length);
+    assert.strictEqual(fs.readFileSync(configFile, 'utf8'), '{ "readers": [', 'the user\'s file is never overwritten');
+});
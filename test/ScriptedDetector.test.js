@@ -0,0 +1,70 @@
+// test/ScriptedDetector.test.js - Plays the sample detector script through the monitor and session tracker
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { once } = require('events');
+const FileAccessMonitor = require('../src/FileAccessMonitor');
+const { BUILTIN_DETECTORS } = require('../src/detectors');
+
+const SCRIPT = path.join(__dirname, 'fixtures', 'detector-script.json');
+const REPORT = path.resolve('/home/me/Documents/report.pdf');
+const CONTRACT = path.resolve('/home/me/Documents/contract.docx');
+
+function createMonitor(t) {
+    const detectors = {};
+    Object.keys(BUILTIN_DETECTORS).forEach(name => {
+        detectors[name] = { enabled: false };
+    });
+    detectors.scripted = { enabled: true, scriptPath: SCRIPT };
+
+    const monitor = new FileAccessMonitor({
+        debugMode: false,
+        detectors,
+        sessionSettleDelay: 200,
+        resolvePaths: false,
+        useHelper: false
+    });
+    t.after(() => monitor.stop());
+    return monitor;
+}
+
+test('scripted detections become document sessions that open, take focus and close', async (t) => {
+    const monitor = createMonitor(t);
+    const events = [];
+    ['fileOpened', 'fileFocused', 'fileClosed'].forEach(name => {
+        monitor.on(name, fileInfo => events.push({ name, fileInfo }));
+    });
+
+    const closed = once(monitor, 'fileClosed');
+    await monitor.startAdvancedMonitoring();
+    await closed;
+
+    assert.deepStrictEqual(events.map(({ name, fileInfo }) => `${name} ${fileInfo.fileName}`), [
+        'fileOpened report.pdf',
+        'fileOpened contract.docx',
+        'fileFocused report.pdf',
+        'fileFocused contract.docx',
+        'fileClosed report.pdf'
+    ]);
+
+    // Both detections of report.pdf were merged into one session
+    const opened = events.find(({ name }) => name === 'fileOpened').fileInfo;
+    assert.strictEqual(path.resolve(opened.fullPath), REPORT);
+    assert.strictEqual(opened.readerApplication, 'Document Viewer');
+    assert.deepStrictEqual(opened.sources, ['Scripted Detector', 'Recent Files Monitor']);
+    assert.strictEqual(opened.detectionCount, 2);
+
+    const focused = events.find(({ name }) => name === 'fileFocused').fileInfo;
+    assert.strictEqual(focused.sessionId, opened.sessionId);
+    assert.strictEqual(focused.windowTitle, 'report.pdf — Document Viewer');
+
+    const ended = events[events.length - 1].fileInfo;
+    assert.strictEqual(ended.sessionId, opened.sessionId);
+    assert.strictEqual(ended.reason, 'closed');
+    assert.ok(ended.durationMs >= 600, `open for ${ended.durationMs}ms`);
+
+    // Only the contract is still open, and it has the focus
+    const open = monitor.getOpenDocuments();
+    assert.deepStrictEqual(open.map(session => path.resolve(session.fullPath)), [CONTRACT]);
+    assert.strictEqual(open[0].isFocused, true);
+});
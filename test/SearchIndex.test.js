@@ -0,0 +1,84 @@
+// test/SearchIndex.test.js - Ranking, snippets and persistence
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SearchIndex = require('../src/SearchIndex');
+
+function createIndex(t, options = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'insightmint-search-'));
+    const index = new SearchIndex({ directory, saveDelay: 20, ...options });
+    // Saves still in flight would otherwise write into a removed directory
+    t.after(async () => {
+        await index.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    return index;
+}
+
+test('ranks documents and builds snippets only for the results returned', async (t) => {
+    const index = createIndex(t);
+    index.add({ filePath: '/docs/lease.pdf', text: 'Clause 14.3 covers the deposit. The deposit is returned within 30 days. Deposit deposit.' });
+    index.add({ filePath: '/docs/invoice.pdf', text: 'Invoice for the deposit on the flat.' });
+    index.add({ filePath: '/docs/notes.txt', text: 'Shopping list: bread, milk.' });
+
+    const reads = [];
+    const readText = index.readText.bind(index);
+    index.readText = (id) => {
+        reads.push(id);
+        return readText(id);
+    };
+
+    const results = await index.search('deposit', { limit: 1 });
+    assert.deepStrictEqual(results.map(result => result.fileName), ['lease.pdf']);
+    assert.deepStrictEqual(reads, [index.docId('/docs/lease.pdf')]);
+
+    const [snippet] = results[0].snippets;
+    const [start, end] = snippet.highlights[0];
+    assert.strictEqual(snippet.text.slice(start, end).toLowerCase(), 'deposit');
+});
+
+test('keeps numbers like 14.3 whole and boosts exact phrases', async (t) => {
+    const index = createIndex(t);
+    index.add({ filePath: '/docs/a.pdf', text: 'The period ends without notice. Termination is covered elsewhere.' });
+    index.add({ filePath: '/docs/b.pdf', text: 'Clause 14.3: termination notice period is two months.' });
+
+    assert.deepStrictEqual((await index.search('14.3')).map(result => result.fileName), ['b.pdf']);
+    assert.strictEqual((await index.search('notice period'))[0].fileName, 'b.pdf');
+    assert.deepStrictEqual(await index.search('   '), []);
+});
+
+test('saves in the background after a pause and reloads what was saved', async (t) => {
+    const index = createIndex(t);
+    index.add({ filePath: '/docs/lease.pdf', text: 'deposit', summary: 'A lease' });
+    assert.strictEqual(fs.existsSync(index.indexFile), false, 'nothing is written straight away');
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await index.saving;
+
+    const reloaded = new SearchIndex({ directory: index.options.directory });
+    assert.deepStrictEqual((await reloaded.search('deposit')).map(result => result.fileName), ['lease.pdf']);
+    assert.strictEqual(reloaded.getText('/docs/lease.pdf'), 'deposit');
+});
+
+test('close writes pending changes before returning', (t) => {
+    const index = createIndex(t, { saveDelay: 60000 });
+    index.add({ filePath: '/docs/lease.pdf', text: 'deposit' });
+    index.close();
+
+    const reloaded = new SearchIndex({ directory: index.options.directory });
+    assert.strictEqual(reloaded.getStats().documents, 1);
+});
+
+test('a save started earlier never replaces a newer one', async (t) => {
+    const index = createIndex(t, { saveDelay: 60000 });
+    index.add({ filePath: '/docs/a.pdf', text: 'alpha' });
+    const first = index.save();
+    index.add({ filePath: '/docs/b.pdf', text: 'beta' });
+    index.close();
+    await first;
+
+    const reloaded = new SearchIndex({ directory: index.options.directory });
+    assert.strictEqual(reloaded.getStats().documents, 2);
+});
@@ -0,0 +1,73 @@
+// test/commandRunner.test.js - File names reach commands as data, never as shell or script source
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { runCommand, runPowerShell, paramVariable } = require('../src/commandRunner');
+
+const FAKE_POWERSHELL = path.join(__dirname, 'fixtures', 'fake-powershell.js');
+
+const HOSTILE_NAMES = [
+    'a$(calc).pdf',
+    '"; rm -rf ~; ".docx',
+    '`whoami`.pdf',
+    "it's.pdf",
+    '$env:USERPROFILE & del *.pdf',
+    'résumé ✓ %PATH%.docx'
+];
+
+// Prints each argument it received as hex, so any change to a single byte shows
+const ECHO_ARGS = "process.stdout.write(JSON.stringify(process.argv.slice(1).map(arg => Buffer.from(arg).toString('hex'))))";
+
+const hex = value => Buffer.from(value, 'utf8').toString('hex');
+
+test('runCommand passes each hostile name as one unchanged argument', async () => {
+    for (const name of HOSTILE_NAMES) {
+        const { stdout } = await runCommand(process.execPath, ['-e', ECHO_ARGS, name]);
+        assert.deepStrictEqual(JSON.parse(stdout), [hex(name)], name);
+    }
+});
+
+test('runCommand keeps several hostile names apart', async () => {
+    const { stdout } = await runCommand(process.execPath, ['-e', ECHO_ARGS, ...HOSTILE_NAMES]);
+    assert.deepStrictEqual(JSON.parse(stdout), HOSTILE_NAMES.map(hex));
+});
+
+test('runPowerShell hands hostile names over as INSIGHTMINT_PARAM_* variables only', async () => {
+    const script = `Get-Item -LiteralPath $env:${paramVariable('filePath')}`;
+
+    for (const name of HOSTILE_NAMES) {
+        const { stdout } = await runPowerShell(script, { filePath: name }, { executable: FAKE_POWERSHELL });
+        const received = JSON.parse(stdout);
+
+        assert.strictEqual(received.script, script, 'the script source never changes');
+        assert.strictEqual(received.params[paramVariable('filePath')], hex(name), name);
+        assert.strictEqual(Object.keys(received.params).length, 1);
+        assert.ok(received.args.every(arg => !arg.includes(name)), 'the value never appears on the command line');
+    }
+});
+
+test('paramVariable makes names environment-safe', () => {
+    assert.strictEqual(paramVariable('filePath'), 'INSIGHTMINT_PARAM_FILEPATH');
+    assert.strictEqual(paramVariable('file-path'), 'INSIGHTMINT_PARAM_FILE_PATH');
+});
+
+test('runCommand rejects with ETIMEDOUT and stops the process', async () => {
+    await assert.rejects(
+        runCommand(process.execPath, ['-e', 'setTimeout(() => {}, 10000)'], { timeout: 200 }),
+        { code: 'ETIMEDOUT' }
+    );
+});
+
+test('runCommand rejects with EMAXOUTPUT when output exceeds the limit', async () => {
+    await assert.rejects(
+        runCommand(process.execPath, ['-e', "process.stdout.write('x'.repeat(5000)); setTimeout(() => {}, 5000)"], { maxOutput: 1000 }),
+        { code: 'EMAXOUTPUT' }
+    );
+});
+
+test('runCommand rejects with EEXITCODE and keeps the output', async () => {
+    await assert.rejects(
+        runCommand(process.execPath, ['-e', "process.stderr.write('boom'); process.exit(3)"]),
+        error => error.code === 'EEXITCODE' && error.result.code === 3 && error.result.stderr === 'boom'
+    );
+});
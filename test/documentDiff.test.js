@@ -0,0 +1,128 @@
+// test/documentDiff.test.js - Splitting text into sections and comparing two versions
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitSections, diffSections } = require('../src/documentDiff');
+
+const PREVIOUS = `Tenancy agreement
+
+1. Parties
+This agreement is between Acme Lettings Ltd and Jane Doe.
+
+2. Payment
+The tenant pays 900 pounds each month. Payment is due on the first day of the month.
+
+3. Deposit
+A deposit of two months rent is held in a protection scheme.
+
+4. Pets
+No pets are allowed in the flat.`;
+
+// Deposit moved up, Payment edited, Pets removed, Parking added
+const CURRENT = `Tenancy agreement
+
+1. Parties
+This agreement is between Acme Lettings Ltd and Jane Doe.
+
+3. Deposit
+A deposit of two months rent is held in a protection scheme.
+
+2. Payment
+The tenant pays 950 pounds each month. Payment is due on the first day of the month.
+
+5. Parking
+One parking space behind the building comes with the tenancy.`;
+
+test('splitSections starts a section at each heading and keeps text before the first one', () => {
+    assert.deepStrictEqual(splitSections(PREVIOUS), [
+        { title: null, text: 'Tenancy agreement' },
+        { title: '1. Parties', text: 'This agreement is between Acme Lettings Ltd and Jane Doe.' },
+        { title: '2. Payment', text: 'The tenant pays 900 pounds each month. Payment is due on the first day of the month.' },
+        { title: '3. Deposit', text: 'A deposit of two months rent is held in a protection scheme.' },
+        { title: '4. Pets', text: 'No pets are allowed in the flat.' }
+    ]);
+});
+
+test('splitSections recognises numbered, named and upper-case headings but not sentences', () => {
+    const text = [
+        'SCHEDULE A', 'Fixtures and fittings.',
+        'Article IV', 'Repairs are shared.',
+        '3.2 Notice', 'Two months in writing.',
+        'NOTE: THIS LINE ENDS IN A SENTENCE.', 'Still part of the notice section.'
+    ].join('\n');
+
+    assert.deepStrictEqual(splitSections(text).map(section => section.title), ['SCHEDULE A', 'Article IV', '3.2 Notice']);
+    assert.strictEqual(splitSections(text)[2].text, 'Two months in writing.\nNOTE: THIS LINE ENDS IN A SENTENCE.\nStill part of the notice section.');
+});
+
+test('splitSections falls back to paragraphs when there are no headings', () => {
+    const text = 'The first paragraph\nruns over two lines.\n\n  \n\nThe second paragraph.\r\n\r\nThe third.';
+
+    assert.deepStrictEqual(splitSections(text), [
+        { title: null, text: 'The first paragraph\nruns over two lines.' },
+        { title: null, text: 'The second paragraph.' },
+        { title: null, text: 'The third.' }
+    ]);
+    assert.deepStrictEqual(splitSections(''), []);
+});
+
+test('diffSections reports edited, added and removed sections and ignores moved ones', () => {
+    const changes = diffSections(PREVIOUS, CURRENT);
+
+    assert.strictEqual(changes.sections, 5);
+    assert.strictEqual(changes.unchanged, 3);
+    assert.deepStrictEqual(changes.counts, { modified: 1, added: 1, removed: 1 });
+    assert.deepStrictEqual(changes.modified, [{
+        title: '2. Payment',
+        added: ['The tenant pays 950 pounds each month.'],
+        removed: ['The tenant pays 900 pounds each month.']
+    }]);
+    assert.deepStrictEqual(changes.added, [{ title: '5. Parking', text: 'One parking space behind the building comes with the tenancy.' }]);
+    assert.deepStrictEqual(changes.removed, [{ title: '4. Pets', text: 'No pets are allowed in the flat.' }]);
+
+    const lines = changes.summary.split('\n');
+    assert.strictEqual(lines[0], '✏️ 1 section edited, 1 added, 1 removed, 3 unchanged');
+    assert.ok(lines[1].startsWith('➕ Added '), lines[1]);
+    assert.ok(lines[2].startsWith('➖ Removed '), lines[2]);
+});
+
+test('a section whose heading changed is matched by its words', () => {
+    const changes = diffSections(
+        '1. Rent\nThe tenant pays rent monthly by bank transfer to the landlord.\n\n2. Term\nTwelve months.',
+        '1. Rent and payment\nThe tenant pays rent monthly by bank transfer to the agent.\n\n2. Term\nTwelve months.'
+    );
+
+    assert.deepStrictEqual(changes.counts, { modified: 1, added: 0, removed: 0 });
+    assert.strictEqual(changes.modified[0].title, '1. Rent and payment');
+});
+
+test('paragraphs without headings are compared the same way', () => {
+    const previous = [
+        'The landlord keeps the keys to the shed.',
+        'Rubbish is collected every Tuesday morning from the front gate.',
+        'Smoking is not allowed anywhere inside the building.'
+    ].join('\n\n');
+    const current = [
+        'Rubbish is collected every Thursday morning from the front gate.',
+        'The landlord keeps the keys to the shed.',
+        'Bicycles may be stored in the hallway.'
+    ].join('\n\n');
+
+    const changes = diffSections(previous, current);
+
+    assert.strictEqual(changes.unchanged, 1);
+    assert.deepStrictEqual(changes.modified, [{
+        title: 'Rubbish is collected every Thursday morning from the front g…',
+        added: ['Rubbish is collected every Thursday morning from the front gate.'],
+        removed: ['Rubbish is collected every Tuesday morning from the front gate.']
+    }]);
+    assert.deepStrictEqual(changes.added.map(section => section.title), ['Bicycles may be stored in the hallway.']);
+    assert.deepStrictEqual(changes.removed.map(section => section.title), ['Smoking is not allowed anywhere inside the building.']);
+});
+
+test('identical text reports no changes', () => {
+    const changes = diffSections(PREVIOUS, `${PREVIOUS}\n`);
+
+    assert.deepStrictEqual(changes.counts, { modified: 0, added: 0, removed: 0 });
+    assert.strictEqual(changes.unchanged, 5);
+    assert.strictEqual(changes.summary, 'The text is the same as the previous version; only formatting or file details changed.');
+});
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+// test/fixtures/fake-helper.js - Stand-in helper speaking the HelperProcess line protocol
+//
+// Ops: echo (answers with its params), fail (ok: false), garbage (a non-JSON line, then an answer),
+// hang (never answers), crash (exits with code 1).
+// FAKE_HELPER_EXIT_ON_START=1 exits immediately; FAKE_HELPER_READ_DELAY=<ms> reads nothing for a while.
+const readline = require('readline');
+
+if (process.env.FAKE_HELPER_EXIT_ON_START) {
+    process.exit(2);
+}
+
+const respond = (message) => process.stdout.write(JSON.stringify(message) + '\n');
+
+function handle(line) {
+    const { id, op, params } = JSON.parse(line);
+
+    switch (op) {
+        case 'echo':
+            respond({ id, ok: true, result: params });
+            break;
+        case 'fail':
+            respond({ id, ok: false, error: 'requested failure' });
+            break;
+        case 'garbage':
+            process.stdout.write('this is not json\n');
+            respond({ id, ok: true, result: 'after garbage' });
+            break;
+        case 'hang':
+            break;
+        case 'crash':
+            process.exit(1);
+            break;
+        default:
+            respond({ id, ok: false, error: `unknown op ${op}` });
+    }
+}
+
+setTimeout(() => {
+    readline.createInterface({ input: process.stdin }).on('line', handle);
+}, Number(process.env.FAKE_HELPER_READ_DELAY || 0));
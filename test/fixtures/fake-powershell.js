@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+// test/fixtures/fake-powershell.js - Stand-in for powershell.exe: reports the script and parameters it received
+const args = process.argv.slice(2);
+const encoded = args[args.indexOf('-EncodedCommand') + 1];
+
+const params = {};
+Object.keys(process.env)
+    .filter(name => name.startsWith('INSIGHTMINT_PARAM_'))
+    .forEach(name => {
+        params[name] = Buffer.from(process.env[name], 'utf8').toString('hex');
+    });
+
+process.stdout.write(JSON.stringify({
+    args,
+    script: Buffer.from(encoded, 'base64').toString('utf16le'),
+    params
+}));
@@ -0,0 +1,80 @@
+// test/xbel.test.js - Parsing recently-used.xbel into local file bookmarks
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseXbel } = require('../src/xbel');
+
+// file:// URIs only map to these paths on POSIX systems, where recently-used.xbel exists
+const skip = process.platform === 'win32' && 'needs POSIX file URIs';
+
+const XBEL = `<?xml version="1.0" encoding="UTF-8"?>
+<xbel version="1.0"
+      xmlns:bookmark="http://www.freedesktop.org/standards/desktop-bookmarks"
+      xmlns:mime="http://www.freedesktop.org/standards/shared-mime-info">
+  <bookmark href="file:///home/me/Documents/report.pdf" added="2025-06-01T08:00:00.000000Z" modified="2025-06-18T09:30:15.123456Z" visited="2025-06-18T09:30:15Z">
+    <info>
+      <metadata owner="http://freedesktop.org">
+        <mime:mime-type type="application/pdf"/>
+        <bookmark:applications>
+          <bookmark:application name="Document Viewer" exec="&apos;evince %u&apos;" modified="2025-06-18T09:30:15Z" count="3"/>
+          <bookmark:application name="Firefox" exec="&apos;firefox %u&apos;" modified="2025-06-01T08:00:00Z" count="1"/>
+        </bookmark:applications>
+      </metadata>
+    </info>
+  </bookmark>
+  <bookmark href="file:///home/me/Tax%20%26%20Bills/R%C3%A9sum%C3%A9%20%231.docx" added="2025-05-02T10:00:00Z" modified="2025-05-02T10:00:00Z" visited="2025-05-02T10:00:00Z">
+    <info>
+      <metadata owner="http://freedesktop.org">
+        <bookmark:applications>
+          <bookmark:application name="LibreOffice &amp; Friends" exec="&apos;soffice&apos;" modified="2025-05-02T10:00:00Z" count="2"/>
+        </bookmark:applications>
+      </metadata>
+    </info>
+  </bookmark>
+  <bookmark href='file:///home/me/a&amp;b.pdf' modified='not a date'/>
+  <bookmark href="https://example.com/remote.pdf" added="2025-06-01T08:00:00Z" modified="2025-06-01T08:00:00Z" visited="2025-06-01T08:00:00Z"/>
+  <bookmark href="recent:///0123456789abcdef" modified="2025-06-01T08:00:00Z"/>
+</xbel>`;
+
+test('keeps local file bookmarks only, in document order', { skip }, () => {
+    const bookmarks = parseXbel(XBEL);
+    assert.deepStrictEqual(bookmarks.map(bookmark => bookmark.path), [
+        '/home/me/Documents/report.pdf',
+        '/home/me/Tax & Bills/Résumé #1.docx',
+        '/home/me/a&b.pdf'
+    ]);
+});
+
+test('decodes entities and percent escapes in hrefs', { skip }, () => {
+    const [, resume, ampersand] = parseXbel(XBEL);
+
+    assert.strictEqual(resume.href, 'file:///home/me/Tax%20%26%20Bills/R%C3%A9sum%C3%A9%20%231.docx');
+    assert.strictEqual(resume.path, '/home/me/Tax & Bills/Résumé #1.docx');
+    assert.strictEqual(ampersand.href, 'file:///home/me/a&b.pdf');
+    assert.strictEqual(ampersand.path, '/home/me/a&b.pdf');
+});
+
+test('reads timestamps, and 0 for missing or invalid ones', { skip }, () => {
+    const [report, , ampersand] = parseXbel(XBEL);
+
+    assert.strictEqual(report.added, Date.parse('2025-06-01T08:00:00Z'));
+    assert.strictEqual(report.modified, Date.parse('2025-06-18T09:30:15.123Z'));
+    assert.strictEqual(report.visited, Date.parse('2025-06-18T09:30:15Z'));
+    assert.strictEqual(ampersand.modified, 0);
+    assert.strictEqual(ampersand.added, 0);
+});
+
+test('lists the applications that opened each file', { skip }, () => {
+    const [report, resume, ampersand] = parseXbel(XBEL);
+
+    assert.deepStrictEqual(report.applications, [
+        { name: 'Document Viewer', exec: "'evince %u'", modified: Date.parse('2025-06-18T09:30:15Z'), count: 3 },
+        { name: 'Firefox', exec: "'firefox %u'", modified: Date.parse('2025-06-01T08:00:00Z'), count: 1 }
+    ]);
+    assert.strictEqual(resume.applications[0].name, 'LibreOffice & Friends');
+    assert.deepStrictEqual(ampersand.applications, []);
+});
+
+test('returns nothing for empty or unrelated input', () => {
+    assert.deepStrictEqual(parseXbel(''), []);
+    assert.deepStrictEqual(parseXbel('<xbel version="1.0"></xbel>'), []);
+});